@@ -1,5 +1,6 @@
 import { createOptimizedPicture } from '../../scripts/aem.js';
 import { moveInstrumentation } from '../../scripts/scripts.js';
+import { addStructuredData } from '../../scripts/structured-data.js';
 
 const generateUniqueId = () => `accordion-${Math.random().toString(36).substr(2, 9)}`;
 
@@ -10,6 +11,7 @@ export default function decorate(block) {
 
   const singleOpenDiv = block.querySelector(':scope > div:first-child');
   const singleOpen = singleOpenDiv && singleOpenDiv.textContent.trim() === 'true';
+  const questions = [];
 
   [...block.children].slice(1).forEach((row) => {
     const li = document.createElement('li');
@@ -77,6 +79,15 @@ export default function decorate(block) {
     panel.appendChild(contentDiv);
     li.appendChild(panel);
 
+    const answer = contentDiv.textContent.trim();
+    if (titleSpan.textContent && answer) {
+      questions.push({
+        '@type': 'Question',
+        name: titleSpan.textContent,
+        acceptedAnswer: { '@type': 'Answer', text: answer },
+      });
+    }
+
     button.addEventListener('click', () => {
       const isExpanded = button.getAttribute('aria-expanded') === 'true';
 
@@ -99,4 +110,8 @@ export default function decorate(block) {
 
   block.textContent = '';
   block.appendChild(ul);
+
+  if (questions.length) {
+    addStructuredData({ '@type': 'FAQPage', mainEntity: questions });
+  }
 }
@@ -1,3 +1,8 @@
+import { loadPlaceholders, t } from '../../scripts/i18n.js';
+import { parseLocale } from '../../scripts/language-mapping.js';
+import { getIndexedPages, normalizeIndexPath } from '../../scripts/query-index.js';
+import { addStructuredData, toAbsoluteUrl } from '../../scripts/structured-data.js';
+
 /**
  * Gets the meta title of the current page
  * @returns {string} The page title
@@ -21,6 +26,32 @@ function getReadableLabel(segment) {
     .join(' ');
 }
 
+/**
+ * Gets the breadcrumb label of an indexed page
+ * @param {Object} page The query index row
+ * @returns {string} The `breadcrumb-title` or title, if any
+ */
+function getIndexedLabel(page) {
+  return page?.['breadcrumb-title'] || page?.title || '';
+}
+
+/**
+ * Creates BreadcrumbList structured data for the trail
+ * @param {Array} crumbs Array of { href, label }
+ * @returns {Object} The BreadcrumbList entity
+ */
+function createBreadcrumbSchema(crumbs) {
+  return {
+    '@type': 'BreadcrumbList',
+    itemListElement: crumbs.map(({ href, label }, index) => ({
+      '@type': 'ListItem',
+      position: index + 1,
+      name: label,
+      item: toAbsoluteUrl(href),
+    })),
+  };
+}
+
 /**
  * Creates a breadcrumb link element
  * @param {string} href The link URL
@@ -44,38 +75,46 @@ function createBreadcrumbLink(href, label, isCurrent = false) {
  * Decorates the breadcrumbs block
  * @param {HTMLElement} block The breadcrumbs block element
  */
-export default function decorate(block) {
+export default async function decorate(block) {
+  await loadPlaceholders();
+
   // Create nav element with proper ARIA role
   const nav = document.createElement('nav');
-  nav.setAttribute('aria-label', 'Breadcrumb');
+  nav.setAttribute('aria-label', t('breadcrumb', 'Breadcrumb'));
   nav.setAttribute('role', 'navigation');
 
   // Create ordered list for breadcrumbs
   const list = document.createElement('ol');
 
-  // Get current path segments
-  const pathSegments = window.location.pathname.split('/');
-
-  // Remove empty segments and locale identifiers (e.g., com-en)
-  const validSegments = pathSegments.filter((segment) => segment && !segment.match(/^[a-z]{2}-[a-z]{2}$/i));
+  // Strip the locale prefix (e.g., /en/uk or /ch/de) so the trail starts at the locale homepage
+  const { isValid, localePrefix, remainder } = parseLocale(window.location.pathname);
+  const prefix = isValid ? localePrefix : '';
+  const pagePath = isValid ? remainder : window.location.pathname;
+  const validSegments = pagePath.split('/').filter(Boolean);
 
-  // Create home link
-  const homeLi = document.createElement('li');
-  homeLi.appendChild(createBreadcrumbLink('/', 'Homepage'));
-  list.appendChild(homeLi);
+  // Labels come from the locale's query index
+  const pages = await getIndexedPages(prefix);
 
-  // Build path progressively
-  let currentPath = '';
+  // Home crumb, then one crumb per path segment
+  const homePath = `${prefix}/`;
+  const homeLabel = getIndexedLabel(pages.get(normalizeIndexPath(homePath))) || t('homepage', 'Homepage');
+  const crumbs = [{ href: homePath, label: homeLabel }];
+  let currentPath = prefix;
   validSegments.forEach((segment, index) => {
     const isLast = index === validSegments.length - 1;
     currentPath += `/${segment}`;
+    const label = getIndexedLabel(pages.get(normalizeIndexPath(currentPath)))
+      || (isLast ? getCurrentPageTitle() : getReadableLabel(segment));
+    crumbs.push({ href: currentPath, label });
+  });
 
+  crumbs.forEach(({ href, label }, index) => {
     const li = document.createElement('li');
-    const label = isLast ? getCurrentPageTitle() : getReadableLabel(segment);
-    li.appendChild(createBreadcrumbLink(currentPath, label, isLast));
+    li.appendChild(createBreadcrumbLink(href, label, index > 0 && index === crumbs.length - 1));
     list.appendChild(li);
   });
 
   nav.appendChild(list);
   block.appendChild(nav);
+  addStructuredData(createBreadcrumbSchema(crumbs));
 }
@@ -1,3 +1,17 @@
+import { addStructuredData, toAbsoluteUrl } from '../../scripts/structured-data.js';
+
+// MIME types of common download formats, by file extension
+const ENCODING_FORMATS = {
+  pdf: 'application/pdf',
+  doc: 'application/msword',
+  docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  xls: 'application/vnd.ms-excel',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  ppt: 'application/vnd.ms-powerpoint',
+  pptx: 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+  zip: 'application/zip',
+};
+
 export default function decorate(block) {
   const rows = block.children || [];
   let downloadLink;
@@ -91,4 +105,16 @@ export default function decorate(block) {
 
     block.appendChild(button);
   }
+
+  if (downloadData.downloadLink) {
+    const extension = new URL(downloadData.downloadLink, window.location.href).pathname
+      .split('.').pop().toLowerCase();
+    addStructuredData({
+      '@type': 'DigitalDocument',
+      name: downloadData.title?.trim() || downloadData.downloadLink.split('/').pop(),
+      description: block.querySelector('.download-description')?.textContent.trim(),
+      url: toAbsoluteUrl(downloadData.downloadLink),
+      encodingFormat: ENCODING_FORMATS[extension],
+    });
+  }
 }
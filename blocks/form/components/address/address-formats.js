@@ -0,0 +1,136 @@
+const US_STATES = {
+  AL: 'Alabama',
+  AK: 'Alaska',
+  AZ: 'Arizona',
+  AR: 'Arkansas',
+  CA: 'California',
+  CO: 'Colorado',
+  CT: 'Connecticut',
+  DE: 'Delaware',
+  DC: 'District of Columbia',
+  FL: 'Florida',
+  GA: 'Georgia',
+  HI: 'Hawaii',
+  ID: 'Idaho',
+  IL: 'Illinois',
+  IN: 'Indiana',
+  IA: 'Iowa',
+  KS: 'Kansas',
+  KY: 'Kentucky',
+  LA: 'Louisiana',
+  ME: 'Maine',
+  MD: 'Maryland',
+  MA: 'Massachusetts',
+  MI: 'Michigan',
+  MN: 'Minnesota',
+  MS: 'Mississippi',
+  MO: 'Missouri',
+  MT: 'Montana',
+  NE: 'Nebraska',
+  NV: 'Nevada',
+  NH: 'New Hampshire',
+  NJ: 'New Jersey',
+  NM: 'New Mexico',
+  NY: 'New York',
+  NC: 'North Carolina',
+  ND: 'North Dakota',
+  OH: 'Ohio',
+  OK: 'Oklahoma',
+  OR: 'Oregon',
+  PA: 'Pennsylvania',
+  RI: 'Rhode Island',
+  SC: 'South Carolina',
+  SD: 'South Dakota',
+  TN: 'Tennessee',
+  TX: 'Texas',
+  UT: 'Utah',
+  VT: 'Vermont',
+  VA: 'Virginia',
+  WA: 'Washington',
+  WV: 'West Virginia',
+  WI: 'Wisconsin',
+  WY: 'Wyoming',
+};
+
+/**
+ * Address formats of the countries the address component knows, keyed by ISO 3166-1
+ * alpha-2 code:
+ * - `layout`: the rows of fields, in order; `line1`, `line2`, `postcode`, `city` and `region`
+ * - `required`: the fields a complete address has
+ * - `labels`: message keys of labels differing from the default ones
+ * - `postcode`: the `pattern` of valid postcodes, matched case insensitively after trimming,
+ *   the `format` of the normalized postcode, using the pattern's groups, and an `example`
+ * - `regions`: the options of the region, `{ code: name }`; without them it's typed, and
+ *   `regionPattern` validates it
+ */
+export default {
+  GB: {
+    layout: [['line1'], ['line2'], ['city'], ['postcode']],
+    required: ['line1', 'city', 'postcode'],
+    labels: { city: 'addressTown' },
+    postcode: {
+      pattern: /^([A-Z]{1,2}\d[A-Z\d]?)\s*(\d[A-Z]{2})$/i,
+      format: '$1 $2',
+      example: 'SW1A 1AA',
+    },
+  },
+  US: {
+    layout: [['line1'], ['line2'], ['city'], ['region', 'postcode']],
+    required: ['line1', 'city', 'region', 'postcode'],
+    labels: { postcode: 'addressZip', region: 'addressState' },
+    postcode: {
+      pattern: /^(\d{5})(?:[-\s]?(\d{4}))?$/,
+      format: (match, zip, plus4) => (plus4 ? `${zip}-${plus4}` : zip),
+      example: '20500',
+    },
+    regions: US_STATES,
+  },
+  CH: {
+    layout: [['line1'], ['line2'], ['postcode', 'city']],
+    required: ['line1', 'postcode', 'city'],
+    postcode: {
+      pattern: /^(?:CH-?)?([1-9]\d{3})$/i,
+      format: '$1',
+      example: '8001',
+    },
+  },
+  DE: {
+    layout: [['line1'], ['line2'], ['postcode', 'city']],
+    required: ['line1', 'postcode', 'city'],
+    postcode: {
+      pattern: /^(?:D-?)?(\d{5})$/i,
+      format: '$1',
+      example: '10115',
+    },
+  },
+  FR: {
+    layout: [['line1'], ['line2'], ['postcode', 'city']],
+    required: ['line1', 'postcode', 'city'],
+    postcode: {
+      pattern: /^(\d{2})\s?(\d{3})$/,
+      format: '$1$2',
+      example: '75001',
+    },
+  },
+  IT: {
+    layout: [['line1'], ['line2'], ['postcode', 'city', 'region']],
+    required: ['line1', 'postcode', 'city', 'region'],
+    labels: { region: 'addressProvince' },
+    postcode: {
+      pattern: /^(\d{5})$/,
+      format: '$1',
+      example: '00184',
+    },
+    // the province's abbreviation, e.g. RM
+    regionPattern: /^[A-Z]{2}$/i,
+  },
+  PL: {
+    layout: [['line1'], ['line2'], ['postcode', 'city']],
+    required: ['line1', 'postcode', 'city'],
+    postcode: {
+      pattern: /^(\d{2})-?(\d{3})$/,
+      format: '$1-$2',
+      example: '00-950',
+    },
+  },
+};
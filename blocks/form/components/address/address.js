@@ -0,0 +1,332 @@
+import { getFormMessage } from '../../messages.js';
+import { getCurrentLocale } from '../../../../scripts/language-mapping.js';
+import formats from './address-formats.js';
+
+const KEYS = ['line1', 'line2', 'postcode', 'city', 'region'];
+
+const LABELS = {
+  line1: 'addressLine1',
+  line2: 'addressLine2',
+  postcode: 'addressPostcode',
+  city: 'addressCity',
+  region: 'addressRegion',
+};
+
+const AUTOCOMPLETE = {
+  line1: 'address-line1',
+  line2: 'address-line2',
+  postcode: 'postal-code',
+  city: 'address-level2',
+  region: 'address-level1',
+  country: 'country',
+};
+
+// market codes of the site that aren't ISO 3166 codes
+const COUNTRY_ALIASES = { UK: 'GB' };
+
+const addressFormats = { ...formats };
+
+/**
+ * Registers the address format of a country, or replaces a bundled one; see
+ * `address-formats.js` for its shape.
+ * @param {string} iso The ISO 3166-1 alpha-2 country code
+ * @param {Object} format `{ layout, required, labels, postcode, regions, regionPattern }`
+ */
+export function registerAddressFormat(iso, format) {
+  addressFormats[iso.toUpperCase()] = format;
+}
+
+function toIso(country) {
+  const iso = `${country || ''}`.trim().toUpperCase();
+  return COUNTRY_ALIASES[iso] || iso;
+}
+
+/**
+ * Reads the address settings of a field: `properties.defaultCountry`, defaulting to the
+ * country of the site's locale, and `properties.countries` to restrict the selectable ones.
+ * @param {Object} fd The field definition
+ * @returns {Object} `{ defaultCountry, isoCodes }`
+ */
+function getConfig(fd) {
+  const { defaultCountry, countries } = fd?.properties || {};
+  const list = (Array.isArray(countries) ? countries : `${countries || ''}`.split(','))
+    .map(toIso)
+    .filter((iso) => addressFormats[iso]);
+  const isoCodes = list.length ? [...new Set(list)] : Object.keys(addressFormats);
+  const preferred = [defaultCountry, getCurrentLocale().country].map(toIso);
+  return {
+    defaultCountry: preferred.find((iso) => isoCodes.includes(iso)) || isoCodes[0],
+    isoCodes,
+  };
+}
+
+// an address set as an object or its JSON, e.g. by a rule or a draft
+function parseValue(value) {
+  if (value && typeof value === 'object') return value;
+  try {
+    const parsed = JSON.parse(value);
+    return parsed && typeof parsed === 'object' ? parsed : {};
+  } catch (e) {
+    return {};
+  }
+}
+
+/**
+ * Normalizes an address for a country: trimmed values, the postcode in its national
+ * format, and the fields the country doesn't use emptied.
+ * @param {Object} values The address fields
+ * @param {string} iso The country
+ * @returns {Object} `{ country, line1, line2, postcode, city, region }`
+ */
+function normalize(values, iso) {
+  const format = addressFormats[iso];
+  const used = format.layout.flat();
+  const address = { country: iso };
+  KEYS.forEach((key) => {
+    let value = used.includes(key) ? `${values[key] ?? ''}`.trim().replace(/\s+/g, ' ') : '';
+    if (key === 'postcode' && format.postcode?.pattern.test(value)) {
+      value = value.replace(format.postcode.pattern, format.postcode.format).toUpperCase();
+    } else if (key === 'region' && format.regionPattern?.test(value)) {
+      value = value.toUpperCase();
+    }
+    address[key] = value;
+  });
+  return address;
+}
+
+function isEmpty(address) {
+  return KEYS.every((key) => !address[key]);
+}
+
+function getLabel(key, iso, formId) {
+  return getFormMessage(addressFormats[iso].labels?.[key] || LABELS[key], formId);
+}
+
+/**
+ * Checks an address against its country's format.
+ * @param {Object} address The normalized address
+ * @param {string} formId The form, for its messages
+ * @returns {Object} `{ key, message }` of the first invalid field, null if valid
+ */
+function getError(address, formId) {
+  const { country } = address;
+  const format = addressFormats[country];
+  const missing = format.required.find((key) => !address[key]);
+  if (missing) {
+    return {
+      key: missing,
+      message: getFormMessage('addressFieldMissing', formId, getLabel(missing, country, formId)),
+    };
+  }
+  if (address.postcode && format.postcode && !format.postcode.pattern.test(address.postcode)) {
+    return {
+      key: 'postcode',
+      message: getFormMessage('addressPostcodeInvalid', formId, format.postcode.example),
+    };
+  }
+  const { region } = address;
+  if (region && ((format.regions && !format.regions[region])
+    || (format.regionPattern && !format.regionPattern.test(region)))) {
+    return {
+      key: 'region',
+      message: getFormMessage('addressRegionInvalid', formId, getLabel('region', country, formId)),
+    };
+  }
+  return null;
+}
+
+function getCountryNames() {
+  try {
+    return new Intl.DisplayNames([getCurrentLocale().lang], { type: 'region' });
+  } catch (e) {
+    return { of: (iso) => iso };
+  }
+}
+
+function createCountrySelect(isoCodes) {
+  const names = getCountryNames();
+  const select = document.createElement('select');
+  select.append(...isoCodes
+    .map((iso) => ({ iso, name: names.of(iso) || iso }))
+    .sort((a, b) => a.name.localeCompare(b.name, getCurrentLocale().lang))
+    .map(({ iso, name }) => {
+      const option = document.createElement('option');
+      option.value = iso;
+      option.textContent = name;
+      return option;
+    }));
+  return select;
+}
+
+// the region is chosen from a list in some countries, typed in others
+function createRegionControl(format) {
+  if (!format.regions) {
+    return document.createElement('input');
+  }
+  const select = document.createElement('select');
+  select.append(new Option('', ''), ...Object.entries(format.regions)
+    .map(([code, name]) => new Option(name, code)));
+  return select;
+}
+
+function createPart(key, id, control) {
+  const part = document.createElement('div');
+  part.className = `address-part address-part-${key}`;
+  const label = document.createElement('label');
+  control.id = `${id}-${key}`;
+  if (control.tagName === 'INPUT') control.type = 'text';
+  control.classList.add(`address-${key}`);
+  control.autocomplete = AUTOCOMPLETE[key] || 'off';
+  label.htmlFor = control.id;
+  part.append(label, control);
+  return { part, label, control };
+}
+
+/**
+ * Postal address with the fields, order, labels and postcode format of the selected
+ * country. The field's input keeps the normalized address,
+ * `{ country, line1, line2, postcode, city, region }`, as JSON and as the object
+ * `input['#value']`, which is what's submitted; rules and drafts set either.
+ */
+export default function decorate(fieldDiv, fd, container, formId) {
+  const input = fieldDiv.querySelector('input');
+  const config = getConfig(fd);
+  const state = { iso: config.defaultCountry };
+  const native = Object.getOwnPropertyDescriptor(HTMLInputElement.prototype, 'value');
+
+  input.classList.add('address-value');
+  input.tabIndex = -1;
+  input.setAttribute('aria-hidden', 'true');
+  ['pattern', 'maxlength', 'minlength', 'placeholder'].forEach((name) => input.removeAttribute(name));
+
+  const country = createPart('country', input.id, createCountrySelect(config.isoCodes));
+  country.label.textContent = getFormMessage('addressCountry', formId);
+  const parts = Object.fromEntries(KEYS.map((key) => {
+    const control = key === 'region'
+      ? createRegionControl(addressFormats[state.iso])
+      : document.createElement('input');
+    return [key, createPart(key, input.id, control)];
+  }));
+  const rows = document.createElement('div');
+  rows.className = 'address-rows';
+
+  const group = document.createElement('div');
+  group.className = 'address-input';
+  group.setAttribute('role', 'group');
+  const label = fieldDiv.querySelector(`label[for="${input.id}"]`);
+  if (label) {
+    label.id = label.id || `${input.id}-label`;
+    group.setAttribute('aria-labelledby', label.id);
+  }
+  group.append(country.part, rows);
+  input.after(group);
+
+  const controls = () => [country.control, ...KEYS.map((key) => parts[key].control)];
+
+  const read = () => normalize(Object.fromEntries(KEYS
+    .map((key) => [key, parts[key].control.value])), state.iso);
+
+  const mirror = () => {
+    controls().forEach((control) => {
+      control.disabled = input.disabled || (control.tagName === 'SELECT' && input.readOnly);
+      if (control.tagName === 'INPUT') control.readOnly = input.readOnly;
+    });
+  };
+
+  // lays the fields out for the selected country
+  const layout = () => {
+    const format = addressFormats[state.iso];
+    country.control.value = state.iso;
+    if (!!format.regions !== (parts.region.control.tagName === 'SELECT')) {
+      const region = createPart('region', input.id, createRegionControl(format));
+      parts.region.part.replaceWith(region.part);
+      parts.region = region;
+    }
+    KEYS.forEach((key) => {
+      const { label: partLabel, control } = parts[key];
+      partLabel.textContent = getLabel(key, state.iso, formId);
+      control.setAttribute('aria-required', `${format.required.includes(key)}`);
+    });
+    parts.postcode.control.inputMode = /^[\d\s-]+$/.test(format.postcode?.example) ? 'numeric' : 'text';
+    rows.replaceChildren(...format.layout.map((row) => {
+      const element = document.createElement('div');
+      element.className = 'address-row';
+      element.append(...row.map((key) => parts[key].part));
+      return element;
+    }));
+    mirror();
+  };
+
+  const validate = (address) => {
+    const error = isEmpty(address) ? null : getError(address, formId);
+    input.setCustomValidity(error?.message || '');
+    KEYS.forEach((key) => {
+      parts[key].control.setAttribute('aria-invalid', `${error?.key === key}`);
+    });
+    return error;
+  };
+
+  const write = (address) => {
+    state.address = address;
+    const empty = isEmpty(address);
+    native.set.call(input, empty ? '' : JSON.stringify(address));
+    input['#value'] = empty ? '' : address;
+    validate(address);
+  };
+
+  // shows an address set from outside, e.g. pre-filled, restored or set by a rule
+  const show = (value) => {
+    const values = parseValue(value);
+    const iso = toIso(values.country);
+    const next = config.isoCodes.includes(iso) ? iso : state.iso;
+    // rules echo every change back, which mustn't rebuild the controls being typed in
+    const address = normalize(values, next);
+    if (state.address && JSON.stringify(address) === JSON.stringify(state.address)) return;
+    if (next !== state.iso || !rows.hasChildNodes()) {
+      state.iso = next;
+      layout();
+    }
+    KEYS.forEach((key) => {
+      parts[key].control.value = values[key] ?? '';
+    });
+    write(read());
+  };
+
+  Object.defineProperty(input, 'value', {
+    configurable: true,
+    get: () => native.get.call(input),
+    set: show,
+  });
+
+  // writes the address to the field, which validates it and notifies the rules
+  const commit = () => {
+    const address = read();
+    parts.postcode.control.value = address.postcode;
+    write(address);
+    input.dispatchEvent(new Event('change', { bubbles: true }));
+  };
+
+  // the address parts aren't fields of their own
+  group.addEventListener('input', (event) => event.stopPropagation());
+  group.addEventListener('change', (event) => {
+    event.stopPropagation();
+    if (event.target === country.control) {
+      state.iso = country.control.value;
+      layout();
+      // the postcode and required fields are checked again for the new country
+      if (isEmpty(read())) return;
+    }
+    commit();
+  });
+
+  // labels, error summaries and invalid submits focus the field
+  input.addEventListener('focus', () => {
+    const invalid = group.querySelector('[aria-invalid="true"]');
+    (invalid || rows.querySelector('input, select')).focus();
+  });
+
+  new MutationObserver(mirror).observe(input, { attributeFilter: ['disabled', 'readonly'] });
+  show(fd?.value ?? native.get.call(input));
+
+  return fieldDiv;
+}
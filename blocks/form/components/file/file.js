@@ -1,8 +1,23 @@
-import { updateOrCreateInvalidMsg, stripTags } from '../../util.js';
-import { fileAttachmentText, dragDropText, defaultErrorMessages } from '../../constant.js';
+import { updateOrCreateInvalidMsg, stripTags, extractIdFromUrl } from '../../util.js';
+import { getFormMessage } from '../../messages.js';
 
 const fileSizeRegex = /^(\d*\.?\d+)(\\?(?=[KMGT])([KMGT])(?:i?B)?|B?)$/i;
 
+// pdf.js renders the first page of attached PDFs, it is loaded with the first PDF
+const PDFJS_PATH = '/scripts/vendor/pdfjs-4.10.38';
+const THUMBNAIL_SIZE = 48;
+
+const DEFAULT_RESIZE = {
+  maxWidth: 2048, maxHeight: 2048, quality: 0.85, type: 'image/jpeg',
+};
+const RESIZABLE_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+const MIN_QUALITY = 0.5;
+const MAX_RESIZE_ATTEMPTS = 8;
+
+// uploads of attached files, { xhr, state } with state 'pending' or 'failed'
+const uploads = new WeakMap();
+let pdfjsPromise;
+
 /**
  * converts a string of the form "10MB" to bytes. If the string is malformed 0 is returned
  * @param {*} str
@@ -66,6 +81,18 @@ function checkAccept(acceptedMediaTypes, files) {
   return !invalidFile;
 }
 
+function getSizeLimit(input) {
+  return getSizeInBytes(`${input.dataset.maxFileSize || '2MB'}`);
+}
+
+function getUploadState(files) {
+  const states = Array.from(files).map((file) => [file, uploads.get(file)?.state]);
+  return {
+    failed: states.find(([, state]) => state === 'failed')?.[0],
+    pending: states.some(([, state]) => state === 'pending'),
+  };
+}
+
 /**
  * triggers file Validation for the given input element and updates the error message
  * @param {HTMLInputElement} input
@@ -77,24 +104,31 @@ function fileValidation(input, files) {
   const minItems = (parseInt(input.dataset.minItems, 10) || 1);
   const maxItems = (parseInt(input.dataset.maxItems, 10) || -1);
   const fileSize = `${input.dataset.maxFileSize || '2MB'}`;
+  const uploadState = getUploadState(files);
   let constraint = '';
   let errorMessage = '';
   const wrapper = input.closest('.field-wrapper');
+  const formId = extractIdFromUrl(input.form?.dataset?.action);
   if (!checkAccept(acceptedFile, files)) {
     constraint = 'accept';
   } else if (!checkMaxFileSize(fileSize, files)) {
     constraint = 'maxFileSize';
   } else if (multiple && maxItems !== -1 && files.length > maxItems) {
     constraint = 'maxItems';
-    errorMessage = defaultErrorMessages.maxItems.replace(/\$0/, maxItems);
+    errorMessage = getFormMessage('maxItems', formId, maxItems);
   } else if (multiple && minItems !== 1 && files.length < minItems) {
     constraint = 'minItems';
-    errorMessage = defaultErrorMessages.minItems.replace(/\$0/, minItems);
+    errorMessage = getFormMessage('minItems', formId, minItems);
+  } else if (uploadState.failed) {
+    constraint = 'fileUploadFailed';
+    errorMessage = getFormMessage('fileUploadFailed', formId, uploadState.failed.name);
+  } else if (uploadState.pending) {
+    constraint = 'fileUploading';
   }
   if (constraint.length) {
     const finalMessage = wrapper.dataset[constraint]
     || errorMessage
-    || defaultErrorMessages[constraint];
+    || getFormMessage(constraint, formId);
     input.setCustomValidity(finalMessage);
     updateOrCreateInvalidMsg(
       input,
@@ -129,29 +163,159 @@ function dispatchChangeEvent(input, files) {
   input.dispatchEvent(changeEvent);
 }
 
+function getMediaType(file) {
+  return file.type || file.mediaType || '';
+}
+
+async function renderPdfThumbnail(file, thumbnail) {
+  const path = `${window.hlx.codeBasePath}${PDFJS_PATH}`;
+  pdfjsPromise = pdfjsPromise || import(`${path}/pdf.min.mjs`).then((pdfjs) => {
+    pdfjs.GlobalWorkerOptions.workerSrc = `${path}/pdf.worker.min.mjs`;
+    return pdfjs;
+  });
+  const pdfjs = await pdfjsPromise;
+  const source = file instanceof Blob
+    ? { data: new Uint8Array(await file.arrayBuffer()) } : { url: file.data };
+  const pdf = await pdfjs.getDocument(source).promise;
+  const page = await pdf.getPage(1);
+  const { width, height } = page.getViewport({ scale: 1 });
+  const viewport = page.getViewport({
+    scale: (THUMBNAIL_SIZE * (window.devicePixelRatio || 1)) / Math.max(width, height),
+  });
+  const canvas = document.createElement('canvas');
+  canvas.width = viewport.width;
+  canvas.height = viewport.height;
+  await page.render({ canvasContext: canvas.getContext('2d'), viewport }).promise;
+  pdf.destroy();
+  thumbnail.replaceChildren(canvas);
+}
+
+/**
+ * creates the thumbnail of an attached file, the image itself or the first page of a PDF
+ * @param {File|Object} file attached or pre-filled file
+ * @returns {HTMLElement} the thumbnail, showing the file type until a preview is rendered
+ */
+function createThumbnail(file) {
+  const mediaType = getMediaType(file);
+  const thumbnail = document.createElement('span');
+  thumbnail.className = 'file-description-thumbnail';
+  thumbnail.dataset.type = mediaType.split('/').pop() || 'file';
+  if (mediaType.startsWith('image/') && (file instanceof Blob || file.data)) {
+    const img = document.createElement('img');
+    img.alt = '';
+    img.src = file instanceof Blob ? window.URL.createObjectURL(file) : file.data;
+    if (file instanceof Blob) {
+      img.addEventListener('load', () => window.URL.revokeObjectURL(img.src), { once: true });
+    }
+    thumbnail.append(img);
+  } else if (mediaType === 'application/pdf') {
+    renderPdfThumbnail(file, thumbnail).catch(() => {
+      // the file type stays shown
+    });
+  }
+  return thumbnail;
+}
+
 /**
  * creates an HTML element for the attached file
  * @param {File} file
  * @param {number} index
+ * @param {string} formId
  */
-function fileElement(file, index) {
+function fileElement(file, index, formId) {
   const el = document.createElement('div');
   el.dataset.index = index;
   el.classList.add('file-description');
-  el.innerHTML = `<span class="file-description-name">${file.name}</span>
+  el.innerHTML = `<span class="file-description-name"></span>
   <span class="file-description-size">${formatBytes(file.size)}</span>
   <button class="file-description-remove" type="button"></button>`;
+  el.querySelector('.file-description-name').textContent = file.name;
+  el.querySelector('button').setAttribute('aria-label', getFormMessage('fileRemove', formId, file.name));
+  el.prepend(createThumbnail(file));
   return el;
 }
 
+function getResizeConfig(field) {
+  const value = field?.properties?.imageResize;
+  if (!value || value === 'false') return null;
+  const config = { ...DEFAULT_RESIZE, ...(typeof value === 'object' ? value : {}) };
+  ['maxWidth', 'maxHeight', 'quality'].forEach((key) => {
+    config[key] = parseFloat(config[key]) || DEFAULT_RESIZE[key];
+  });
+  return config;
+}
+
+function canvasToBlob(canvas, type, quality) {
+  return new Promise((resolve) => {
+    canvas.toBlob(resolve, type, quality);
+  });
+}
+
+/**
+ * downscales and compresses an image in the browser, so it fits the maximum dimensions
+ * and the maximum file size. The quality is lowered first, then the dimensions.
+ * @param {File} file the attached image
+ * @param {Object} config `maxWidth`, `maxHeight`, `quality` and `type` of the result
+ * @param {number} sizeLimit maximum file size in bytes
+ * @returns {Promise<File>} the resized image, or the file itself if it can't be made smaller
+ */
+async function resizeImage(file, config, sizeLimit) {
+  if (!RESIZABLE_TYPES.includes(file.type) || !window.createImageBitmap) return file;
+  let bitmap;
+  try {
+    bitmap = await window.createImageBitmap(file);
+  } catch (e) {
+    return file;
+  }
+  const fits = bitmap.width <= config.maxWidth && bitmap.height <= config.maxHeight;
+  if (fits && file.size <= sizeLimit) {
+    bitmap.close();
+    return file;
+  }
+  let scale = Math.min(1, config.maxWidth / bitmap.width, config.maxHeight / bitmap.height);
+  let { quality } = config;
+  let blob;
+  const canvas = document.createElement('canvas');
+  for (let attempt = 0; attempt < MAX_RESIZE_ATTEMPTS; attempt += 1) {
+    canvas.width = Math.max(1, Math.round(bitmap.width * scale));
+    canvas.height = Math.max(1, Math.round(bitmap.height * scale));
+    const context = canvas.getContext('2d');
+    if (config.type === 'image/jpeg') {
+      // transparent areas would turn black
+      context.fillStyle = '#fff';
+      context.fillRect(0, 0, canvas.width, canvas.height);
+    }
+    context.drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+    // eslint-disable-next-line no-await-in-loop
+    blob = await canvasToBlob(canvas, config.type, quality);
+    if (!blob || blob.size <= sizeLimit) break;
+    if (quality > MIN_QUALITY) {
+      quality = Math.max(MIN_QUALITY, quality - 0.15);
+    } else {
+      scale *= 0.75;
+    }
+  }
+  bitmap.close();
+  if (!blob || (fits && blob.size >= file.size)) return file;
+  const extension = blob.type.split('/').pop().replace('jpeg', 'jpg');
+  return new File([blob], `${file.name.replace(/\.[^.]+$/, '')}.${extension}`, {
+    type: blob.type, lastModified: file.lastModified,
+  });
+}
+
+function getUploadConfig(field) {
+  const url = field?.properties?.uploadUrl;
+  return url ? { url, fieldName: field.properties.uploadFieldName || 'file' } : null;
+}
+
 /**
  * creates an HTML elements for drag & drop
  * @param {HTMLElement} wrapper
  */
-function createDragAndDropArea(wrapper, field) {
+function createDragAndDropArea(wrapper, field, formId) {
   const input = wrapper.querySelector('input');
-  const customButtonText = field?.properties?.['fd:buttonText'] || fileAttachmentText;
-  const customDragDropText = field?.properties?.dragDropText || dragDropText;
+  const customButtonText = field?.properties?.['fd:buttonText'] || getFormMessage('fileAttachment', formId);
+  const customDragDropText = field?.properties?.dragDropText || getFormMessage('dragDrop', formId);
   const dragArea = `
     <div class="file-dragIcon"></div>
     <div class="file-dragText">${customDragDropText}</div>
@@ -168,35 +332,121 @@ function createDragAndDropArea(wrapper, field) {
   return dragContainer;
 }
 
-function createFileHandler(allFiles, input) {
+function createFileHandler(allFiles, input, { formId, resize, upload }) {
+  const getListElement = () => input.closest('.field-wrapper').querySelector('.files-list');
+
+  const updateFiles = () => {
+    fileValidation(input, allFiles);
+    dispatchChangeEvent(input, allFiles);
+  };
+
+  /**
+   * uploads an attached file right away, showing its progress. Uploaded files are
+   * replaced by `{ name, size, mediaType, data }`, data being the URL the endpoint returns
+   * as `url` or `location`, or in the Location header.
+   */
+  const uploadFile = (file, el) => {
+    const xhr = new XMLHttpRequest();
+    uploads.set(file, { xhr, state: 'pending' });
+    const progress = document.createElement('progress');
+    progress.className = 'file-description-progress';
+    progress.max = 100;
+    progress.value = 0;
+    progress.setAttribute('aria-label', getFormMessage('fileUploadProgress', formId, file.name));
+    el.querySelector('.file-description-size').after(progress);
+    el.querySelector('button').setAttribute('aria-label', getFormMessage('fileCancelUpload', formId, file.name));
+    el.classList.add('file-uploading');
+
+    const done = (url) => {
+      const index = allFiles.indexOf(file);
+      if (index === -1) return;
+      el.classList.remove('file-uploading');
+      progress.remove();
+      el.querySelector('button').setAttribute('aria-label', getFormMessage('fileRemove', formId, file.name));
+      if (url) {
+        uploads.delete(file);
+        allFiles[index] = {
+          name: file.name, size: file.size, mediaType: file.type, data: url,
+        };
+      } else {
+        uploads.set(file, { state: 'failed' });
+        el.classList.add('file-upload-failed');
+      }
+      updateFiles();
+    };
+    xhr.upload.addEventListener('progress', (e) => {
+      if (e.lengthComputable) progress.value = Math.round((e.loaded / e.total) * 100);
+    });
+    xhr.addEventListener('load', () => {
+      let url = xhr.getResponseHeader('Location');
+      try {
+        const body = JSON.parse(xhr.responseText);
+        url = body.url || body.location || url;
+      } catch (e) {
+        // no JSON body
+      }
+      done(xhr.status >= 200 && xhr.status < 300 ? url : null);
+    });
+    xhr.addEventListener('error', () => done(null));
+    const body = new FormData();
+    body.append(upload.fieldName, file, file.name);
+    xhr.open('POST', upload.url);
+    xhr.send(body);
+  };
+
+  const cancelUpload = (file) => {
+    uploads.get(file)?.xhr?.abort();
+    uploads.delete(file);
+  };
+
   return {
     removeFile: (index) => {
+      cancelUpload(allFiles[index]);
       allFiles.splice(index, 1);
-      const fileListElement = input.closest('.field-wrapper').querySelector('.files-list');
+      const fileListElement = getListElement();
       fileListElement.querySelector(`[data-index="${index}"]`).remove();
-      fileValidation(input, allFiles);
       updateButtonIndex(Array.from(fileListElement.children));
-      dispatchChangeEvent(input, allFiles);
+      updateFiles();
     },
 
-    attachFiles: (inputEl, files) => {
+    attachFiles: async (inputEl, files) => {
       const multiple = inputEl.hasAttribute('multiple');
       let newFiles = Array.from(files);
+      if (!newFiles.length) return;
       if (!multiple) {
-        allFiles.splice(0, allFiles.length);
         newFiles = [newFiles[0]];
       }
+      if (resize) {
+        newFiles = await Promise.all(newFiles.map((file) => (file instanceof File
+          ? resizeImage(file, resize, getSizeLimit(inputEl)) : file)));
+      }
+      if (!multiple) {
+        allFiles.forEach(cancelUpload);
+        allFiles.splice(0, allFiles.length);
+      }
       const currentLength = allFiles.length;
       allFiles.push(...newFiles);
       const newFileElements = newFiles
-        .map((file, index) => fileElement(file, index + currentLength));
-      const fileListElement = inputEl.closest('.field-wrapper').querySelector('.files-list');
+        .map((file, index) => fileElement(file, index + currentLength, formId));
+      const fileListElement = getListElement();
       if (multiple) {
+        newFileElements.forEach((el) => { el.draggable = true; });
         fileListElement.append(...newFileElements);
       } else {
         fileListElement.replaceChildren(...newFileElements);
       }
-      fileValidation(inputEl, allFiles);
+      if (upload) {
+        newFiles.forEach((file, index) => {
+          if (file instanceof File) uploadFile(file, newFileElements[index]);
+        });
+      }
+      updateFiles();
+    },
+
+    moveFiles: (order) => {
+      const reordered = order.map((index) => allFiles[index]);
+      allFiles.splice(0, allFiles.length, ...reordered);
+      updateButtonIndex(Array.from(getListElement().children));
       dispatchChangeEvent(input, allFiles);
     },
 
@@ -218,17 +468,61 @@ function createFileHandler(allFiles, input) {
   };
 }
 
+/**
+ * lets the attached files be reordered by dragging them in the list
+ * @param {HTMLElement} fileListElement
+ * @param {Object} fileHandler
+ */
+function enableReordering(fileListElement, fileHandler) {
+  let dragged;
+  fileListElement.addEventListener('dragstart', (event) => {
+    dragged = event.target.closest?.('.file-description');
+    if (!dragged) return;
+    dragged.classList.add('file-description-dragging');
+    event.dataTransfer.effectAllowed = 'move';
+    event.dataTransfer.setData('text/plain', dragged.dataset.index);
+  });
+  fileListElement.addEventListener('dragover', (event) => {
+    if (!dragged) return;
+    event.preventDefault();
+    const target = event.target.closest?.('.file-description');
+    if (!target || target === dragged) return;
+    const { top, height } = target.getBoundingClientRect();
+    if (event.clientY < top + height / 2) {
+      target.before(dragged);
+    } else {
+      target.after(dragged);
+    }
+  });
+  fileListElement.addEventListener('drop', (event) => {
+    if (dragged) event.preventDefault();
+  });
+  fileListElement.addEventListener('dragend', () => {
+    if (!dragged) return;
+    dragged.classList.remove('file-description-dragging');
+    dragged = null;
+    const order = Array.from(fileListElement.children).map((el) => +el.dataset.index);
+    if (order.some((value, index) => value !== index)) {
+      fileHandler.moveFiles(order);
+    }
+  });
+}
+
 // eslint-disable-next-line no-unused-vars
-export default async function decorate(fieldDiv, field, htmlForm) {
+export default async function decorate(fieldDiv, field, htmlForm, formId) {
   const allFiles = [];
-  const dragArea = createDragAndDropArea(fieldDiv, field);
+  const dragArea = createDragAndDropArea(fieldDiv, field, formId);
   const input = fieldDiv.querySelector('input');
+  // attached files, read by the multipart submit adapter
+  input['#files'] = allFiles;
   fieldDiv.classList.add('decorated');
   const fileListElement = document.createElement('div');
   fileListElement.classList.add('files-list');
   const attachButton = dragArea.querySelector('.file-attachButton');
   attachButton.addEventListener('click', () => input.click());
-  const fileHandler = createFileHandler(allFiles, input);
+  const fileHandler = createFileHandler(allFiles, input, {
+    formId, resize: getResizeConfig(field), upload: getUploadConfig(field),
+  });
   input.addEventListener('change', (event) => {
     if (!event?.detail?.deletion) {
       event.stopPropagation();
@@ -252,12 +546,14 @@ export default async function decorate(fieldDiv, field, htmlForm) {
     dragArea.classList.remove('file-dragArea-active');
   });
   fileListElement.addEventListener('click', (e) => {
-    if (e.target.tagName === 'BUTTON') {
-      fileHandler.removeFile(e.target?.parentElement?.dataset?.index || 0);
-    } else if (e.target.tagName === 'SPAN') {
-      fileHandler.previewFile(e.target?.parentElement?.dataset?.index || 0);
+    const index = e.target.closest('.file-description')?.dataset?.index || 0;
+    if (e.target.closest('.file-description-remove')) {
+      fileHandler.removeFile(index);
+    } else if (e.target.closest('.file-description-name, .file-description-thumbnail')) {
+      fileHandler.previewFile(index);
     }
   });
+  enableReordering(fileListElement, fileHandler);
   fieldDiv.insertBefore(fileListElement, input.nextElementSibling);
   // pre-fill file attachment
   if (field.value) {
@@ -0,0 +1,116 @@
+/**
+ * Numbering plans of the countries the phone component knows, keyed by ISO 3166-1 alpha-2
+ * code. Numbers are handled as national significant numbers (NSN), without the country
+ * code and the trunk prefix:
+ * - `code`: the country calling code
+ * - `trunk`: the national prefix dialled before the NSN within the country, if any
+ * - `pattern`: the valid NSNs, checking their prefix and length
+ * - `formats`: the national format of NSNs starting with `leading`, `#` being a digit;
+ *   the first match applies
+ */
+export default {
+  GB: {
+    code: '44',
+    trunk: '0',
+    pattern: /^(?:1\d{8,9}|[235789]\d{9}|800\d{6})$/,
+    formats: [
+      { leading: /^2/, template: '0## #### ####' },
+      { leading: /^(?:[3589]|1(?:1|\d1))/, template: '0### ### ####' },
+      { leading: /^/, template: '0#### ######' },
+    ],
+  },
+  US: {
+    code: '1',
+    trunk: '1',
+    pattern: /^[2-9]\d{2}[2-9]\d{6}$/,
+    formats: [
+      { leading: /^/, template: '(###) ###-####' },
+    ],
+  },
+  CH: {
+    code: '41',
+    trunk: '0',
+    pattern: /^[2-9]\d{8}$/,
+    formats: [
+      { leading: /^8[049]/, template: '0### ### ###' },
+      { leading: /^/, template: '0## ### ## ##' },
+    ],
+  },
+  DE: {
+    code: '49',
+    trunk: '0',
+    pattern: /^(?:1[5-7]\d{8,9}|[2-9]\d{5,10})$/,
+    formats: [
+      { leading: /^1[5-7]/, template: '0### ########' },
+      { leading: /^(?:30|40|69|89)/, template: '0## #########' },
+      { leading: /^/, template: '0### ########' },
+    ],
+  },
+  FR: {
+    code: '33',
+    trunk: '0',
+    pattern: /^[1-9]\d{8}$/,
+    formats: [
+      { leading: /^/, template: '0# ## ## ## ##' },
+    ],
+  },
+  IT: {
+    // landline numbers keep their leading 0 in international format
+    code: '39',
+    trunk: '',
+    pattern: /^(?:0\d{5,10}|3\d{8,9}|80[03]\d{3,6})$/,
+    formats: [
+      { leading: /^0[26]/, template: '## #### ####' },
+      { leading: /^0/, template: '### #######' },
+      { leading: /^8/, template: '### ######' },
+      { leading: /^/, template: '### ### ####' },
+    ],
+  },
+  PL: {
+    code: '48',
+    trunk: '',
+    pattern: /^[1-9]\d{8}$/,
+    formats: [
+      { leading: /^(?:45|5[0137]|6[069]|7[2389]|88)/, template: '### ### ###' },
+      { leading: /^/, template: '## ### ## ##' },
+    ],
+  },
+  AT: {
+    code: '43',
+    trunk: '0',
+    pattern: /^(?:1\d{3,12}|6\d{8,12}|[2-57-9]\d{5,12})$/,
+    formats: [
+      { leading: /^1/, template: '0# ############' },
+      { leading: /^6/, template: '0### ##########' },
+      { leading: /^/, template: '0#### #########' },
+    ],
+  },
+  BE: {
+    code: '32',
+    trunk: '0',
+    pattern: /^(?:4[5-9]\d{7}|[1-9]\d{7})$/,
+    formats: [
+      { leading: /^4[5-9]/, template: '0### ## ## ##' },
+      { leading: /^[2349]/, template: '0# ### ## ##' },
+      { leading: /^/, template: '0## ## ## ##' },
+    ],
+  },
+  ES: {
+    code: '34',
+    trunk: '',
+    pattern: /^[5-9]\d{8}$/,
+    formats: [
+      { leading: /^/, template: '### ## ## ##' },
+    ],
+  },
+  NL: {
+    code: '31',
+    trunk: '0',
+    pattern: /^(?:[1-9]\d{8}|800\d{4,7})$/,
+    formats: [
+      { leading: /^6/, template: '0# ########' },
+      { leading: /^(?:1[0-35]|2[0346]|3[03568]|4[0356]|5[0358]|7\d|8[458])/, template: '0## #######' },
+      { leading: /^/, template: '0### ######' },
+    ],
+  },
+};
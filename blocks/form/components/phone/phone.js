@@ -0,0 +1,270 @@
+import { getFormMessage } from '../../messages.js';
+import { getCurrentLocale } from '../../../../scripts/language-mapping.js';
+import metadata from './phone-metadata.js';
+
+// E.164 allows 15 digits, including the country code
+const MAX_DIGITS = 15;
+const INTERNATIONAL_PATTERN = /^[1-9]\d{6,14}$/;
+
+// market codes of the site that aren't ISO 3166 codes
+const COUNTRY_ALIASES = { UK: 'GB' };
+
+const countries = { ...metadata };
+
+/**
+ * Registers the numbering plan of a country, or replaces a bundled one; see
+ * `phone-metadata.js` for its shape.
+ * @param {string} iso The ISO 3166-1 alpha-2 country code
+ * @param {Object} plan `{ code, trunk, pattern, formats }`
+ */
+export function registerPhoneCountry(iso, plan) {
+  countries[iso.toUpperCase()] = plan;
+}
+
+function toIso(country) {
+  const iso = `${country || ''}`.trim().toUpperCase();
+  return COUNTRY_ALIASES[iso] || iso;
+}
+
+/**
+ * Reads the phone settings of a field: `properties.defaultCountry`, defaulting to the
+ * country of the site's locale, and `properties.countries` to restrict the selectable ones.
+ * @param {Object} fd The field definition
+ * @returns {Object} `{ defaultCountry, isoCodes }`
+ */
+function getConfig(fd) {
+  const { defaultCountry, countries: allowed } = fd?.properties || {};
+  const list = (Array.isArray(allowed) ? allowed : `${allowed || ''}`.split(','))
+    .map(toIso)
+    .filter((iso) => countries[iso]);
+  const isoCodes = list.length ? [...new Set(list)] : Object.keys(countries);
+  const preferred = [defaultCountry, getCurrentLocale().country].map(toIso);
+  return {
+    defaultCountry: preferred.find((iso) => isoCodes.includes(iso)) || isoCodes[0],
+    isoCodes,
+  };
+}
+
+// the country with the longest calling code starting the digits, preferring the current one
+function findCountry(digits, isoCodes, current) {
+  const matches = isoCodes.filter((iso) => digits.startsWith(countries[iso].code));
+  if (!matches.length) return '';
+  const length = Math.max(...matches.map((iso) => countries[iso].code.length));
+  const longest = matches.filter((iso) => countries[iso].code.length === length);
+  return longest.includes(current) ? current : longest[0];
+}
+
+/**
+ * Parses a phone number typed nationally, or internationally with `+` or `00`.
+ * @param {string} text The number as typed
+ * @param {string} current The selected country, for national numbers
+ * @param {Array} isoCodes The selectable countries
+ * @returns {Object} `{ iso, nsn, international }`, `iso` being empty for international
+ * numbers of other countries, whose `nsn` then includes the country code
+ */
+function parseNumber(text, current, isoCodes) {
+  const value = `${text || ''}`.trim();
+  let digits = value.replace(/\D/g, '');
+  let iso = current;
+  const international = value.startsWith('+') || value.startsWith('00');
+  if (international) {
+    if (!value.startsWith('+')) digits = digits.slice(2);
+    iso = findCountry(digits, isoCodes, current);
+    if (!iso) return { iso, nsn: digits.slice(0, MAX_DIGITS), international };
+    digits = digits.slice(countries[iso].code.length);
+  }
+  const { trunk, code } = countries[iso] || {};
+  if (trunk && digits.startsWith(trunk)) digits = digits.slice(trunk.length);
+  return { iso, nsn: digits.slice(0, MAX_DIGITS - (code?.length || 0)), international };
+}
+
+function formatNational(nsn, iso) {
+  if (!countries[iso]) return nsn ? `+${nsn}` : '';
+  const { template } = countries[iso].formats.find(({ leading }) => leading.test(nsn)) || {};
+  let result = '';
+  let index = 0;
+  // eslint-disable-next-line no-restricted-syntax
+  for (const char of template || '') {
+    if (index >= nsn.length) break;
+    if (char === '#') {
+      result += nsn[index];
+      index += 1;
+    } else {
+      result += char;
+    }
+  }
+  return result + nsn.slice(index);
+}
+
+function toE164(nsn, iso) {
+  if (!nsn) return '';
+  return `+${countries[iso]?.code || ''}${nsn}`;
+}
+
+function isValidNumber(nsn, iso) {
+  return countries[iso] ? countries[iso].pattern.test(nsn) : INTERNATIONAL_PATTERN.test(nsn);
+}
+
+function getFlag(iso) {
+  return String.fromCodePoint(...[...iso].map((char) => 127397 + char.charCodeAt(0)));
+}
+
+function createCountrySelect(isoCodes, formId) {
+  const { lang } = getCurrentLocale();
+  let names;
+  try {
+    names = new Intl.DisplayNames([lang], { type: 'region' });
+  } catch (e) {
+    names = { of: (iso) => iso };
+  }
+  const select = document.createElement('select');
+  select.className = 'phone-country';
+  select.setAttribute('aria-label', getFormMessage('phoneCountry', formId));
+  const options = isoCodes
+    .map((iso) => ({ iso, name: names.of(iso) || iso }))
+    .sort((a, b) => a.name.localeCompare(b.name, lang));
+  select.append(...options.map(({ iso, name }) => {
+    const option = document.createElement('option');
+    option.value = iso;
+    option.dataset.name = name;
+    option.textContent = `${getFlag(iso)} ${name} +${countries[iso].code}`;
+    return option;
+  }));
+  // numbers typed with the code of a country that isn't listed
+  const other = document.createElement('option');
+  other.value = '';
+  other.textContent = getFormMessage('phoneOtherCountry', formId);
+  other.hidden = true;
+  select.append(other);
+  return select;
+}
+
+/**
+ * International phone number, typed nationally with a country selector or with its
+ * country code. The number is formatted as it's typed and validated against the country's
+ * numbering plan, and the field's input keeps it in E.164 format, e.g. `+41441234567`,
+ * which is what's submitted and what rules and drafts read and set.
+ */
+export default function decorate(fieldDiv, fd, container, formId) {
+  const input = fieldDiv.querySelector('input');
+  const config = getConfig(fd);
+  const state = { iso: config.defaultCountry, nsn: '' };
+  const native = Object.getOwnPropertyDescriptor(HTMLInputElement.prototype, 'value');
+
+  input.classList.add('phone-value');
+  input.tabIndex = -1;
+  input.setAttribute('aria-hidden', 'true');
+  ['pattern', 'maxlength', 'minlength'].forEach((name) => input.removeAttribute(name));
+
+  const select = createCountrySelect(config.isoCodes, formId);
+  const number = document.createElement('input');
+  number.type = 'tel';
+  number.id = `${input.id}-national`;
+  number.className = 'phone-number';
+  number.autocomplete = 'tel-national';
+  number.inputMode = 'tel';
+  number.placeholder = input.placeholder;
+  input.removeAttribute('placeholder');
+
+  const group = document.createElement('div');
+  group.className = 'phone-input';
+  group.append(select, number);
+  input.after(group);
+  const label = fieldDiv.querySelector(`label[for="${input.id}"]`);
+  if (label) label.htmlFor = number.id;
+
+  const getMessage = () => {
+    if (!state.nsn || isValidNumber(state.nsn, state.iso)) return '';
+    return state.iso
+      ? getFormMessage('phoneInvalid', formId, select.selectedOptions[0]?.dataset.name)
+      : getFormMessage('phoneInvalidInternational', formId);
+  };
+
+  const render = (caret) => {
+    select.value = state.iso;
+    select.querySelector('option[value=""]').hidden = !!state.iso;
+    number.value = formatNational(state.nsn, state.iso);
+    if (caret !== undefined && document.activeElement === number) {
+      const position = formatNational(state.nsn.slice(0, caret), state.iso).length;
+      number.setSelectionRange(position, position);
+    }
+  };
+
+  // shows a number set from outside, e.g. pre-filled, restored or set by a rule
+  const show = (value) => {
+    const parsed = parseNumber(value, state.iso, config.isoCodes);
+    Object.assign(state, { iso: parsed.iso, nsn: parsed.nsn });
+    native.set.call(input, toE164(state.nsn, state.iso));
+    render();
+    input.setCustomValidity(getMessage());
+  };
+
+  Object.defineProperty(input, 'value', {
+    configurable: true,
+    get: () => native.get.call(input),
+    set: show,
+  });
+
+  // writes the number to the field, which validates it and notifies the rules
+  const commit = () => {
+    native.set.call(input, toE164(state.nsn, state.iso));
+    input.setCustomValidity(getMessage());
+    input.dispatchEvent(new Event('change', { bubbles: true }));
+  };
+
+  number.addEventListener('input', (event) => {
+    event.stopPropagation();
+    const { value, selectionStart } = number;
+    const previous = state.nsn;
+    const parsed = parseNumber(value, state.iso, config.isoCodes);
+    // digits typed before the caret, without the trunk prefix
+    const before = parseNumber(value.slice(0, selectionStart), state.iso, config.isoCodes);
+    let caret = parsed.international ? undefined : before.nsn.length;
+    Object.assign(state, { iso: parsed.iso, nsn: parsed.nsn });
+    // deleting a separator deletes the digit next to it
+    if (state.nsn === previous && caret !== undefined && event.inputType?.startsWith('delete')) {
+      const index = event.inputType === 'deleteContentBackward' ? caret - 1 : caret;
+      if (index >= 0 && index < state.nsn.length) {
+        state.nsn = state.nsn.slice(0, index) + state.nsn.slice(index + 1);
+        caret = index;
+      }
+    }
+    render(caret);
+    if (input.validity.customError) input.setCustomValidity(getMessage());
+  });
+  number.addEventListener('change', (event) => {
+    event.stopPropagation();
+    commit();
+  });
+  select.addEventListener('change', (event) => {
+    event.stopPropagation();
+    state.iso = select.value;
+    render();
+    if (state.nsn) commit();
+    number.focus();
+  });
+
+  // labels, error summaries and invalid submits focus the field
+  input.addEventListener('focus', () => number.focus());
+
+  const mirror = () => {
+    number.disabled = input.disabled;
+    number.readOnly = input.readOnly;
+    select.disabled = input.disabled || input.readOnly;
+    number.setAttribute('aria-required', `${input.required}`);
+    ['aria-invalid', 'aria-describedby'].forEach((name) => {
+      if (input.hasAttribute(name)) {
+        number.setAttribute(name, input.getAttribute(name));
+      } else {
+        number.removeAttribute(name);
+      }
+    });
+  };
+  new MutationObserver(mirror).observe(input, {
+    attributeFilter: ['disabled', 'readonly', 'required', 'aria-invalid', 'aria-describedby'],
+  });
+  mirror();
+  show(native.get.call(input) || fd?.value);
+
+  return fieldDiv;
+}
@@ -1,3 +1,4 @@
+import { t } from '../../../../scripts/i18n.js';
 import { getId } from '../../util.js';
 
 function update(fieldset, index, labelTemplate) {
@@ -6,7 +7,7 @@ function update(fieldset, index, labelTemplate) {
   if (legend) {
     legend.textContent = text;
   }
-  if (typeof fieldset.id === 'undefined') {
+  if (!fieldset.id) {
     fieldset.id = getId(fieldset.name);
   }
   fieldset.setAttribute('data-index', index);
@@ -38,44 +39,166 @@ function createButton(label, icon) {
   return button;
 }
 
-export function insertRemoveButton(fieldset, wrapper, form) {
-  const label = fieldset.dataset?.repeatDeleteButtonLabel || 'Delete';
+function getItems(wrapper) {
+  return [...wrapper.querySelectorAll(':scope > [data-repeatable="true"]')];
+}
+
+function isFull(wrapper, count) {
+  const max = wrapper.getAttribute('data-max');
+  return +max !== -1 && +max <= count;
+}
+
+function dispatch(form, type, fieldset, detail = {}) {
+  const event = new CustomEvent(type, {
+    detail: {
+      item: { name: fieldset.name, id: fieldset.id, index: +fieldset.dataset.index },
+      ...detail,
+    },
+    bubbles: false,
+  });
+  form.dispatchEvent(event);
+}
+
+function toggleButton(button, enabled, hide = false) {
+  if (!button) return;
+  button.disabled = !enabled;
+  if (hide) {
+    button.setAttribute('data-visible', `${enabled}`);
+  }
+}
+
+/**
+ * Renumbers the items of a repeatable panel and enables the actions allowed by its
+ * minimum and maximum: add and duplicate up to the maximum, remove down to the minimum,
+ * and moving items that aren't first or last.
+ * @param {HTMLElement} wrapper The repeat wrapper
+ */
+function refresh(wrapper) {
+  const items = getItems(wrapper);
+  items.forEach((el, index) => {
+    update(el, index, wrapper['#repeat-template-label']);
+  });
+  const full = isFull(wrapper, items.length);
+  const atMin = items.length <= +(wrapper.getAttribute('data-min') || 0);
+  toggleButton(wrapper.querySelector(':scope > .repeat-actions .item-add'), !full, true);
+  items.forEach((el, index) => {
+    toggleButton(el.querySelector(':scope > .repeat-item-actions > .item-remove'), !atMin, true);
+    toggleButton(el.querySelector(':scope > .repeat-item-actions > .item-duplicate'), !full);
+    toggleButton(el.querySelector(':scope > .repeat-item-actions > .item-move-up'), index > 0);
+    toggleButton(el.querySelector(':scope > .repeat-item-actions > .item-move-down'), index < items.length - 1);
+  });
+}
+
+// announces to screen readers where a moved item is now
+function announce(wrapper, text) {
+  let status = wrapper.querySelector(':scope > .repeat-status');
+  if (!status) {
+    status = document.createElement('div');
+    status.className = 'repeat-status';
+    status.setAttribute('role', 'status');
+    wrapper.append(status);
+  }
+  status.textContent = text;
+}
+
+export function insertRemoveButton(fieldset, wrapper, form, container = fieldset) {
+  const label = fieldset.dataset?.repeatDeleteButtonLabel || t('delete', 'Delete');
   const removeButton = createButton(label, 'remove');
   removeButton.addEventListener('click', () => {
+    const items = getItems(wrapper);
+    if (items.length <= +(wrapper.getAttribute('data-min') || 0)) return;
+    const index = items.indexOf(fieldset);
     fieldset.remove();
-    wrapper.querySelector('.item-add').setAttribute('data-visible', 'true');
-    wrapper.querySelectorAll('[data-repeatable="true"]').forEach((el, index) => {
-      update(el, index, wrapper['#repeat-template-label']);
-    });
-    const event = new CustomEvent('item:remove', {
-      detail: { item: { name: fieldset.name, id: fieldset.id } },
-      bubbles: false,
-    });
-    form.dispatchEvent(event);
+    refresh(wrapper);
+    dispatch(form, 'item:remove', fieldset);
+    (items[index + 1] || items[index - 1])?.querySelector('input, select, textarea')?.focus();
   });
-  fieldset.append(removeButton);
+  container.append(removeButton);
 }
 
-export const add = (wrapper, form, actions) => (e) => {
-  const fieldset = wrapper['#repeat-template'];
-  const max = wrapper.getAttribute('data-max');
-  const min = wrapper.getAttribute('data-min');
-  const childCount = wrapper.children.length - 1;
-  const newFieldset = fieldset.cloneNode(true);
-  newFieldset.setAttribute('data-index', childCount);
-  update(newFieldset, childCount, wrapper['#repeat-template-label']);
-  if (childCount >= +min) {
-    insertRemoveButton(newFieldset, wrapper, form);
+function moveItem(fieldset, wrapper, form, offset, button) {
+  const items = getItems(wrapper);
+  const fromIndex = items.indexOf(fieldset);
+  const toIndex = fromIndex + offset;
+  if (toIndex < 0 || toIndex >= items.length) return;
+  if (offset < 0) {
+    items[toIndex].before(fieldset);
+  } else {
+    items[toIndex].after(fieldset);
   }
-  if (+max !== -1 && +max <= childCount + 1) {
-    e.currentTarget.setAttribute('data-visible', 'false');
-  }
-  actions.insertAdjacentElement('beforebegin', newFieldset);
-  const event = new CustomEvent('item:add', {
-    detail: { item: { name: newFieldset.name, id: newFieldset.id } },
-    bubbles: false,
+  refresh(wrapper);
+  // moving the item blurs the button, keep the focus on it or the other direction
+  const other = fieldset.querySelector(offset < 0 ? '.item-move-down' : '.item-move-up');
+  (button.disabled ? other : button).focus();
+  const label = fieldset.querySelector(':scope>.field-label')?.textContent || fieldset.name;
+  announce(wrapper, t('repeatItemMoved', '{label} moved to position {position} of {count}', {
+    label, position: toIndex + 1, count: items.length,
+  }));
+  dispatch(form, 'item:move', fieldset, { fromIndex, toIndex });
+}
+
+// copies the values of an item into a new one, matching fields by name and position
+function copyValues(source, target) {
+  const counts = {};
+  const sourceFields = [...source.querySelectorAll('input, select, textarea')];
+  target.querySelectorAll('input, select, textarea').forEach((fe) => {
+    if (!fe.name || fe.type === 'file') return;
+    const position = counts[fe.name] || 0;
+    counts[fe.name] = position + 1;
+    const original = sourceFields.filter((x) => x.name === fe.name)[position];
+    if (!original) return;
+    if (['checkbox', 'radio'].includes(fe.type)) {
+      fe.checked = original.checked;
+    } else if (fe.tagName === 'SELECT' && fe.multiple) {
+      [...fe.options].forEach((option, i) => {
+        option.selected = !!original.options[i]?.selected;
+      });
+    } else {
+      fe.value = original.value;
+    }
   });
-  form.dispatchEvent(event);
+}
+
+function insertItem(wrapper, form, newFieldset, reference, detail = {}) {
+  // eslint-disable-next-line no-use-before-define
+  insertItemActions(newFieldset, wrapper, form);
+  reference.insertAdjacentElement('beforebegin', newFieldset);
+  refresh(wrapper);
+  dispatch(form, 'item:add', newFieldset, detail);
+}
+
+function insertItemActions(fieldset, wrapper, form) {
+  if (wrapper.dataset.variant === 'noButtons') return;
+  const actions = document.createElement('div');
+  actions.className = 'repeat-item-actions';
+  if (wrapper.dataset.allowReorder === 'true') {
+    const up = createButton(t('moveUp', 'Move up'), 'move-up');
+    const down = createButton(t('moveDown', 'Move down'), 'move-down');
+    up.addEventListener('click', () => moveItem(fieldset, wrapper, form, -1, up));
+    down.addEventListener('click', () => moveItem(fieldset, wrapper, form, 1, down));
+    actions.append(up, down);
+  }
+  if (wrapper.dataset.allowDuplicate === 'true') {
+    const duplicate = createButton(t('duplicate', 'Duplicate'), 'duplicate');
+    duplicate.addEventListener('click', () => {
+      if (isFull(wrapper, getItems(wrapper).length)) return;
+      const newFieldset = wrapper['#repeat-template'].cloneNode(true);
+      copyValues(fieldset, newFieldset);
+      insertItem(wrapper, form, newFieldset, fieldset.nextElementSibling, {
+        sourceIndex: getItems(wrapper).indexOf(fieldset),
+      });
+      newFieldset.querySelector('input, select, textarea')?.focus();
+    });
+    actions.append(duplicate);
+  }
+  insertRemoveButton(fieldset, wrapper, form, actions);
+  fieldset.append(actions);
+}
+
+export const add = (wrapper, form, actions) => () => {
+  if (isFull(wrapper, getItems(wrapper).length)) return;
+  const newFieldset = wrapper['#repeat-template'].cloneNode(true);
+  insertItem(wrapper, form, newFieldset, actions);
 };
 
 function getInstances(el) {
@@ -91,7 +214,7 @@ function getInstances(el) {
 export function insertAddButton(wrapper, form) {
   const actions = document.createElement('div');
   actions.className = 'repeat-actions';
-  const addLabel = wrapper?.dataset?.repeatAddButtonLabel || 'Add';
+  const addLabel = wrapper?.dataset?.repeatAddButtonLabel || t('add', 'Add');
   const addButton = createButton(addLabel, 'add');
   addButton.addEventListener('click', add(wrapper, form, actions));
   actions.appendChild(addButton);
@@ -105,8 +228,10 @@ export default function transferRepeatableDOM(form) {
     wrapper.dataset.min = el.dataset.min || 0;
     wrapper.dataset.max = el.dataset.max;
     wrapper.dataset.variant = el.dataset.variant || 'addDeleteButtons';
-    wrapper.dataset.repeatAddButtonLabel = el.dataset?.repeatAddButtonLabel ? el.dataset.repeatAddButtonLabel : 'Add';
-    wrapper.dataset.repeatDeleteButtonLabel = el.dataset?.repeatDeleteButtonLabel ? el.dataset.repeatDeleteButtonLabel : 'Remove';
+    wrapper.dataset.allowDuplicate = el.dataset.allowDuplicate || 'false';
+    wrapper.dataset.allowReorder = el.dataset.allowReorder || 'false';
+    wrapper.dataset.repeatAddButtonLabel = el.dataset?.repeatAddButtonLabel ? el.dataset.repeatAddButtonLabel : t('add', 'Add');
+    wrapper.dataset.repeatDeleteButtonLabel = el.dataset?.repeatDeleteButtonLabel ? el.dataset.repeatDeleteButtonLabel : t('remove', 'Remove');
     el.insertAdjacentElement('beforebegin', wrapper);
     wrapper.append(...instances);
     wrapper.querySelectorAll('.item-remove').forEach((element) => element.remove());
@@ -122,8 +247,10 @@ export default function transferRepeatableDOM(form) {
       el.setAttribute('data-index', 0);
     }
     if (el.dataset.variant !== 'noButtons') {
+      getItems(wrapper).forEach((item) => insertItemActions(item, wrapper, form));
       insertAddButton(wrapper, form);
     }
+    refresh(wrapper);
     wrapper.className = 'repeat-wrapper';
   });
 }
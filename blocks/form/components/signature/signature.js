@@ -0,0 +1,313 @@
+import { getFormMessage } from '../../messages.js';
+
+const LINE_WIDTH = 2.5;
+const TYPED_FONT = '"Segoe Script", "Bradley Hand", "Brush Script MT", cursive';
+
+/**
+ * Reads the signature settings of a field: `properties.signatureFormat` (`png` or `svg`)
+ * and `properties.signatureOutput` (`dataUrl`, or `file` to also attach the image like
+ * a file input does). Adaptive forms submit their model, which keeps the data URL, so the
+ * attachment is only sent by document based forms.
+ * @param {Object} fd The field definition
+ * @returns {Object} `{ format, output }`
+ */
+function getConfig(fd) {
+  const { signatureFormat, signatureOutput } = fd?.properties || {};
+  return {
+    format: `${signatureFormat}`.toLowerCase() === 'svg' ? 'svg' : 'png',
+    output: signatureOutput === 'file' ? 'file' : 'dataUrl',
+  };
+}
+
+function createButton(label, className) {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = className;
+  button.textContent = label;
+  return button;
+}
+
+/**
+ * traces a smooth line through the points of a stroke, on a canvas context or an SVG
+ * path builder
+ * @param {Array} points `{ x, y }` of the stroke
+ * @param {Object} path an object with `moveTo`, `lineTo` and `quadraticCurveTo`
+ */
+function tracePath(points, path) {
+  const [first, ...rest] = points;
+  path.moveTo(first.x, first.y);
+  if (!rest.length) {
+    // a dot
+    path.lineTo(first.x + 0.1, first.y);
+    return;
+  }
+  rest.forEach((point, index) => {
+    const previous = points[index];
+    const midX = (previous.x + point.x) / 2;
+    const midY = (previous.y + point.y) / 2;
+    path.quadraticCurveTo(previous.x, previous.y, midX, midY);
+  });
+  const last = rest[rest.length - 1];
+  path.lineTo(last.x, last.y);
+}
+
+// pens report their pressure, mice and fingers 0.5 while pressed
+function getStrokeWidth({ points }) {
+  const pressure = points.reduce((sum, point) => sum + point.pressure, 0) / points.length;
+  return LINE_WIDTH * (0.5 + pressure);
+}
+
+function getTypedFontSize(text, width, height) {
+  return Math.min(height * 0.45, width / Math.max(text.length * 0.55, 1));
+}
+
+function escapeXml(text) {
+  return text.replace(/[<>&"]/g, (char) => `&#${char.charCodeAt(0)};`);
+}
+
+function toSvg({
+  strokes, typed, image,
+}, width, height, color) {
+  const round = (value) => Math.round(value * 10) / 10;
+  let content;
+  if (typed) {
+    const size = round(getTypedFontSize(typed, width, height));
+    content = `<text x="${round(width / 2)}" y="${round(height / 2)}" fill="${color}" font-size="${size}" font-family='${TYPED_FONT}' text-anchor="middle" dominant-baseline="middle">${escapeXml(typed)}</text>`;
+  } else {
+    content = strokes.map((stroke) => {
+      let d = '';
+      tracePath(stroke.points, {
+        moveTo: (x, y) => { d += `M${round(x)} ${round(y)}`; },
+        lineTo: (x, y) => { d += `L${round(x)} ${round(y)}`; },
+        quadraticCurveTo: (cx, cy, x, y) => { d += `Q${round(cx)} ${round(cy)} ${round(x)} ${round(y)}`; },
+      });
+      return `<path d="${d}" stroke-width="${round(getStrokeWidth(stroke))}"/>`;
+    }).join('');
+    if (image) {
+      content = `<image href="${image.src}" width="${width}" height="${height}"/>${content}`;
+    }
+  }
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${round(width)}" height="${round(height)}" viewBox="0 0 ${round(width)} ${round(height)}"><g fill="none" stroke="${color}" stroke-linecap="round" stroke-linejoin="round">${content}</g></svg>`;
+}
+
+function dataUrlToFile(dataUrl, name) {
+  const [header, data] = dataUrl.split(',');
+  const type = header.slice(5).split(';')[0];
+  const bytes = header.endsWith(';base64')
+    ? Uint8Array.from(atob(data), (char) => char.charCodeAt(0))
+    : new TextEncoder().encode(decodeURIComponent(data));
+  return new File([bytes], name, { type });
+}
+
+/**
+ * Signature pad, drawn with a mouse, finger or pen, or typed. The field's input keeps the
+ * signature as a PNG or SVG data URL, so it's validated, submitted and restored like any
+ * text field; with `signatureOutput: 'file'` document based forms attach the image like
+ * a file input's.
+ */
+export default function decorate(fieldDiv, fd, container, formId) {
+  const input = fieldDiv.querySelector('input');
+  const config = getConfig(fd);
+  const state = {
+    strokes: [], typed: '', image: null, typing: false,
+  };
+  let stroke = null;
+  let committing = false;
+
+  input.classList.add('signature-value');
+  input.tabIndex = -1;
+  input.setAttribute('aria-hidden', 'true');
+
+  const canvas = document.createElement('canvas');
+  canvas.className = 'signature-canvas';
+  canvas.tabIndex = -1;
+  canvas.setAttribute('role', 'img');
+  canvas.setAttribute('aria-label', getFormMessage('signatureCanvas', formId));
+  const context = canvas.getContext('2d');
+
+  const typedInput = document.createElement('input');
+  typedInput.type = 'text';
+  typedInput.className = 'signature-typed';
+  typedInput.autocomplete = 'name';
+  typedInput.hidden = true;
+  typedInput.setAttribute('aria-label', getFormMessage('signatureTypedLabel', formId));
+
+  const undoButton = createButton(getFormMessage('signatureUndo', formId), 'signature-undo');
+  const clearButton = createButton(getFormMessage('signatureClear', formId), 'signature-clear');
+  const modeButton = createButton(getFormMessage('signatureType', formId), 'signature-mode');
+  const actions = document.createElement('div');
+  actions.className = 'signature-actions';
+  actions.append(undoButton, clearButton, modeButton);
+
+  const pad = document.createElement('div');
+  pad.className = 'signature-pad';
+  pad.append(canvas, typedInput, actions);
+  input.after(pad);
+
+  const isEmpty = () => (state.typing ? !state.typed : !state.strokes.length && !state.image);
+  const isLocked = () => input.disabled || input.readOnly;
+  const getSize = () => {
+    const { width, height } = canvas.getBoundingClientRect();
+    return { width, height };
+  };
+
+  const redraw = () => {
+    const { width, height } = getSize();
+    context.clearRect(0, 0, width, height);
+    context.strokeStyle = getComputedStyle(canvas).color;
+    context.fillStyle = context.strokeStyle;
+    if (state.typing) {
+      if (!state.typed) return;
+      context.font = `${getTypedFontSize(state.typed, width, height)}px ${TYPED_FONT}`;
+      context.textAlign = 'center';
+      context.textBaseline = 'middle';
+      context.fillText(state.typed, width / 2, height / 2);
+      return;
+    }
+    if (state.image) context.drawImage(state.image, 0, 0, width, height);
+    context.lineCap = 'round';
+    context.lineJoin = 'round';
+    state.strokes.forEach((item) => {
+      context.lineWidth = getStrokeWidth(item);
+      context.beginPath();
+      tracePath(item.points, context);
+      context.stroke();
+    });
+  };
+
+  const resize = () => {
+    const { width, height } = getSize();
+    const ratio = window.devicePixelRatio || 1;
+    canvas.width = Math.round(width * ratio);
+    canvas.height = Math.round(height * ratio);
+    context.setTransform(ratio, 0, 0, ratio, 0, 0);
+    redraw();
+  };
+
+  const updateActions = () => {
+    undoButton.disabled = state.typing || !state.strokes.length;
+    clearButton.disabled = isEmpty();
+  };
+
+  // writes the signature to the field, which validates it and notifies the rules
+  const commit = () => {
+    let value = '';
+    if (!isEmpty()) {
+      const { width, height } = getSize();
+      const svg = config.format === 'svg' && toSvg({
+        ...state, typed: state.typing ? state.typed : '',
+      }, width, height, context.strokeStyle);
+      value = svg
+        ? `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`
+        : canvas.toDataURL('image/png');
+    }
+    input.value = value;
+    if (config.output === 'file') {
+      input['#files'] = value ? [dataUrlToFile(value, `${input.name || 'signature'}.${config.format}`)] : [];
+    }
+    updateActions();
+    committing = true;
+    input.dispatchEvent(new Event('change', { bubbles: true }));
+    committing = false;
+  };
+
+  // shows a signature set from outside, e.g. pre-filled or restored from a draft
+  const restore = (value) => {
+    Object.assign(state, {
+      strokes: [], typed: '', image: null,
+    });
+    if (`${value || ''}`.startsWith('data:image/')) {
+      const image = new Image();
+      image.addEventListener('load', () => {
+        state.image = image;
+        redraw();
+        updateActions();
+      });
+      image.src = value;
+    }
+    redraw();
+    updateActions();
+  };
+
+  const setTyping = (typing) => {
+    state.typing = typing;
+    typedInput.hidden = !typing;
+    modeButton.textContent = getFormMessage(typing ? 'signatureDraw' : 'signatureType', formId);
+    canvas.classList.toggle('signature-preview', typing);
+    redraw();
+    commit();
+    (typing ? typedInput : canvas).focus();
+  };
+
+  const getPoint = (event) => {
+    const { left, top } = canvas.getBoundingClientRect();
+    return { x: event.clientX - left, y: event.clientY - top, pressure: event.pressure || 0.5 };
+  };
+
+  canvas.addEventListener('pointerdown', (event) => {
+    if (state.typing || isLocked() || (event.pointerType === 'mouse' && event.button !== 0)) return;
+    event.preventDefault();
+    canvas.setPointerCapture(event.pointerId);
+    stroke = { points: [getPoint(event)] };
+    state.strokes.push(stroke);
+    redraw();
+  });
+  canvas.addEventListener('pointermove', (event) => {
+    if (!stroke) return;
+    const events = event.getCoalescedEvents?.() || [];
+    stroke.points.push(...(events.length ? events : [event]).map(getPoint));
+    redraw();
+  });
+  const endStroke = () => {
+    if (!stroke) return;
+    stroke = null;
+    commit();
+  };
+  canvas.addEventListener('pointerup', endStroke);
+  canvas.addEventListener('pointercancel', endStroke);
+
+  undoButton.addEventListener('click', () => {
+    state.strokes.pop();
+    redraw();
+    commit();
+  });
+  clearButton.addEventListener('click', () => {
+    Object.assign(state, {
+      strokes: [], typed: '', image: null,
+    });
+    typedInput.value = '';
+    redraw();
+    commit();
+  });
+  modeButton.addEventListener('click', () => setTyping(!state.typing));
+
+  // the typed name isn't a field of its own
+  typedInput.addEventListener('input', (event) => {
+    event.stopPropagation();
+    state.typed = typedInput.value.trim();
+    redraw();
+    updateActions();
+  });
+  typedInput.addEventListener('change', (event) => {
+    event.stopPropagation();
+    commit();
+  });
+
+  input.addEventListener('change', () => {
+    if (!committing) restore(input.value);
+  });
+  // labels, error summaries and invalid submits focus the field
+  input.addEventListener('focus', () => (state.typing ? typedInput : canvas).focus());
+
+  if (window.ResizeObserver) {
+    new ResizeObserver(resize).observe(canvas);
+  }
+  resize();
+  restore(fd?.value);
+
+  const helpText = fieldDiv.querySelector('.field-description');
+  if (helpText) {
+    fieldDiv.append(helpText);
+  }
+  return fieldDiv;
+}
@@ -1,5 +1,57 @@
+import { getCurrentLocale } from '../../../../scripts/language-mapping.js';
+import { getFormMessage } from '../../messages.js';
 import { createButton } from '../../util.js';
 
+const REVIEW_STEP_CLASS = 'wizard-review-step';
+
+function getLabel(wrapper) {
+  return wrapper.querySelector(':scope > label, :scope > legend')?.textContent?.trim() || '';
+}
+
+// hidden by itself or a panel inside the step
+function isHiddenInStep(element, step) {
+  const hidden = element.closest('[data-visible="false"]');
+  return !!hidden && step.contains(hidden);
+}
+
+/**
+ * Formats the answer of a field for the review step.
+ * @param {HTMLElement} wrapper The field wrapper
+ * @param {string} formId The form id, for messages
+ * @returns {string} The formatted answer, empty if not answered
+ */
+function formatAnswer(wrapper, formId) {
+  const locale = getCurrentLocale().hreflang;
+  const inputs = [...wrapper.querySelectorAll('input, select, textarea')]
+    .filter((fe) => fe.type !== 'hidden' && !fe.dataset.spamTrap);
+  const [fe] = inputs;
+  if (!fe) return '';
+  if (fe.type === 'radio' || (fe.type === 'checkbox' && inputs.length > 1)) {
+    return inputs.filter((input) => input.checked)
+      .map((input) => input.closest('.field-wrapper')?.querySelector('label')?.textContent?.trim() || input.value)
+      .join(', ');
+  }
+  if (fe.type === 'checkbox') {
+    return getFormMessage(fe.checked ? 'reviewYes' : 'reviewNo', formId);
+  }
+  if (fe.tagName === 'SELECT') {
+    return [...fe.selectedOptions].filter((option) => option.value).map((option) => option.text).join(', ');
+  }
+  if (fe.type === 'file') {
+    return [...(fe['#files'] || fe.files || [])].map((file) => file.name).join(', ');
+  }
+  if (fe.type === 'password') {
+    return fe.value ? '••••••••' : '';
+  }
+  if (fe.type === 'date' && fe.value) {
+    return new Date(`${fe.value}T00:00:00`).toLocaleDateString(locale, { dateStyle: 'long' });
+  }
+  if (fe.type === 'number' && fe.value !== '') {
+    return (+fe.value).toLocaleString(locale);
+  }
+  return fe.value.trim();
+}
+
 export class WizardLayout {
   inputFields = 'input,textarea,select';
 
@@ -50,37 +102,187 @@ export class WizardLayout {
     }, true);
 
     if (!isValid) {
-      container.querySelector(':invalid')?.focus();
+      // the error summary handles the event, otherwise the first invalid field is focused
+      const event = new CustomEvent('wizard:invalid', {
+        detail: { container },
+        bubbles: true,
+        cancelable: true,
+      });
+      if (container.dispatchEvent(event)) {
+        container.querySelector(':invalid')?.focus();
+      }
     }
     return isValid;
   }
 
   navigate(panel, forward = true) {
     const current = panel.querySelector('.current-wizard-step');
-    const currentMenuItem = panel.querySelector('.wizard-menu-active-item');
 
     let valid = true;
     if (forward) {
       valid = this.validateContainer(current);
     }
-    const navigateTo = valid ? this.getEligibleSibling(current, forward) : current;
-
-    if (navigateTo && current !== navigateTo) {
-      current.classList.remove('current-wizard-step');
-      navigateTo.classList.add('current-wizard-step');
-      // add/remove active class from menu item
-      const navigateToMenuItem = panel.querySelector(`li[data-index="${navigateTo.dataset.index}"]`);
-      currentMenuItem.classList.remove('wizard-menu-active-item');
-      navigateToMenuItem.classList.add('wizard-menu-active-item');
-      const event = new CustomEvent('wizard:navigate', {
-        detail: {
-          prevStep: { id: current.id, index: +current.dataset.index },
-          currStep: { id: navigateTo.id, index: +navigateTo.dataset.index },
-        },
-        bubbles: false,
-      });
-      panel.dispatchEvent(event);
+    let navigateTo = valid ? this.getEligibleSibling(current, forward) : current;
+    // going back leaves the edit started from the review, the steps after it are validated again
+    if (!forward) {
+      this.endReviewEdit(panel);
+    }
+    // after editing a step from the review, continue with the review
+    if (valid && forward && panel['#return-to-review']) {
+      navigateTo = panel.querySelector(`:scope > .${REVIEW_STEP_CLASS}`);
+    }
+
+    if (navigateTo) {
+      this.activateStep(panel, navigateTo);
+    }
+  }
+
+  /**
+   * Ends editing a step from the review: the next button goes to the next step again
+   * @param {Fieldset} panel the wizard panel
+   */
+  // eslint-disable-next-line class-methods-use-this
+  endReviewEdit(panel) {
+    panel['#return-to-review'] = false;
+    const nextButton = panel.querySelector(':scope > .wizard-button-wrapper .wizard-button-next');
+    if (nextButton && nextButton.dataset.label) nextButton.textContent = nextButton.dataset.label;
+  }
+
+  /**
+   * Makes a step the current one, without validating the steps in between
+   * @param {Fieldset} panel the wizard panel
+   * @param {Fieldset} navigateTo the step to show
+   */
+  // eslint-disable-next-line class-methods-use-this
+  activateStep(panel, navigateTo) {
+    const current = panel.querySelector('.current-wizard-step');
+    if (!current || current === navigateTo) {
+      return;
     }
+    const currentMenuItem = panel.querySelector('.wizard-menu-active-item');
+    current.classList.remove('current-wizard-step');
+    navigateTo.classList.add('current-wizard-step');
+    // add/remove active class from menu item
+    const navigateToMenuItem = panel.querySelector(`li[data-index="${navigateTo.dataset.index}"]`);
+    currentMenuItem?.classList.remove('wizard-menu-active-item');
+    navigateToMenuItem?.classList.add('wizard-menu-active-item');
+    if (navigateTo.classList.contains(REVIEW_STEP_CLASS)) {
+      this.renderReview(panel, navigateTo);
+    }
+    const event = new CustomEvent('wizard:navigate', {
+      detail: {
+        prevStep: { id: current.id, index: +current.dataset.index },
+        currStep: { id: navigateTo.id, index: +navigateTo.dataset.index },
+      },
+      bubbles: false,
+    });
+    panel.dispatchEvent(event);
+  }
+
+  /**
+   * Adds the review step, listing the answers of all steps before submitting.
+   * @param {Fieldset} panel the wizard panel
+   * @param {string} formId the form id, for messages
+   */
+  // eslint-disable-next-line class-methods-use-this
+  addReviewStep(panel, formId) {
+    const step = document.createElement('fieldset');
+    step.className = `panel-wrapper ${REVIEW_STEP_CLASS}`;
+    step.id = `${panel.id || panel.dataset.id || 'wizard'}-review`;
+    const legend = document.createElement('legend');
+    legend.className = 'field-label';
+    legend.textContent = getFormMessage('reviewTitle', formId);
+    const answers = document.createElement('div');
+    answers.className = 'wizard-review';
+    step.append(legend, answers);
+    step.dataset.formId = formId || '';
+    panel.append(step);
+  }
+
+  /**
+   * Lists the answers of a step's fields; repeated panels become lists of their instances.
+   * @param {HTMLElement} container the step or panel
+   * @param {HTMLElement} root the step, to ignore its own visibility
+   * @param {string} formId the form id, for messages
+   * @returns {HTMLElement[]} the rendered answers
+   */
+  renderAnswers(container, root, formId) {
+    const rendered = [];
+    let list;
+    [...container.children].forEach((child) => {
+      if (isHiddenInStep(child, root) || !child.matches('.field-wrapper, .repeat-wrapper')) return;
+      if (child.classList.contains('repeat-wrapper')) {
+        const items = [...child.querySelectorAll(':scope > [data-repeatable="true"]')];
+        if (!items.length) return;
+        const group = document.createElement('div');
+        group.className = 'wizard-review-repeat';
+        const title = document.createElement('p');
+        title.className = 'wizard-review-repeat-title';
+        title.textContent = child['#repeat-template-label']?.replace('#', '').trim() || getLabel(items[0]);
+        const ol = document.createElement('ol');
+        items.forEach((item) => {
+          const li = document.createElement('li');
+          li.append(...this.renderAnswers(item, root, formId));
+          ol.append(li);
+        });
+        group.append(title, ol);
+        rendered.push(group);
+        list = null;
+      } else if (child.matches('fieldset.panel-wrapper')) {
+        rendered.push(...this.renderAnswers(child, root, formId));
+        list = null;
+      } else if (child.querySelector('input, select, textarea')
+        && !child.matches('.button-wrapper, .captcha-wrapper')) {
+        if (!list) {
+          list = document.createElement('dl');
+          rendered.push(list);
+        }
+        const term = document.createElement('dt');
+        term.textContent = getLabel(child);
+        const answer = document.createElement('dd');
+        answer.textContent = formatAnswer(child, formId) || getFormMessage('reviewEmpty', formId);
+        list.append(term, answer);
+      }
+    });
+    return rendered;
+  }
+
+  /**
+   * Fills the review step with the answers of every visible step, each with an edit button
+   * that opens the step and comes back to the review.
+   * @param {Fieldset} panel the wizard panel
+   * @param {Fieldset} review the review step
+   */
+  renderReview(panel, review) {
+    const { formId } = review.dataset;
+    this.endReviewEdit(panel);
+    const nextButton = panel.querySelector(':scope > .wizard-button-wrapper .wizard-button-next');
+
+    const groups = this.getSteps(panel)
+      .filter((step) => step !== review && step.dataset.visible !== 'false')
+      .map((step) => {
+        const group = document.createElement('section');
+        group.className = 'wizard-review-group';
+        const heading = document.createElement('h3');
+        heading.textContent = getLabel(step);
+        const edit = document.createElement('button');
+        edit.type = 'button';
+        edit.className = 'wizard-review-edit';
+        edit.textContent = getFormMessage('reviewEdit', formId);
+        edit.setAttribute('aria-label', `${edit.textContent}: ${heading.textContent}`);
+        edit.addEventListener('click', () => {
+          panel['#return-to-review'] = true;
+          if (nextButton) {
+            nextButton.dataset.label = nextButton.dataset.label || nextButton.textContent;
+            nextButton.textContent = getFormMessage('reviewReturn', formId);
+          }
+          this.activateStep(panel, step);
+          step.querySelector('input:not([type="hidden"]), select, textarea')?.focus();
+        });
+        group.append(heading, edit, ...this.renderAnswers(step, step, formId));
+        return group;
+      });
+    review.querySelector('.wizard-review').replaceChildren(...groups);
   }
 
   static handleMutation(panel, mutationsList) {
@@ -142,7 +344,10 @@ export class WizardLayout {
     wrapper.append(button);
   }
 
-  applyLayout(panel) {
+  applyLayout(panel, { review = false, formId } = {}) {
+    if (review) {
+      this.addReviewStep(panel, formId);
+    }
     const children = panel.querySelectorAll(':scope > .panel-wrapper');
     if (children.length) {
       // create wizard menu
@@ -177,10 +382,13 @@ export class WizardLayout {
 
 const layout = new WizardLayout();
 
-export default function wizardLayout(panel) {
-  layout.applyLayout(panel);
+export default function wizardLayout(panel, fd, container, formId) {
+  const review = [true, 'true'].includes(fd?.properties?.reviewStep)
+    || panel.classList.contains('review');
+  layout.applyLayout(panel, { review, formId });
   return panel;
 }
 
 export const navigate = layout.navigate.bind(layout);
 export const validateContainer = layout.validateContainer.bind(layout);
+export const activateStep = layout.activateStep.bind(layout);
@@ -0,0 +1,254 @@
+import { getCurrentLocale } from '../../scripts/language-mapping.js';
+import { activateStep } from './components/wizard/wizard.js';
+import { getFormMessage } from './messages.js';
+
+const DRAFT_STORAGE_PREFIX = 'form-draft';
+const DEFAULT_EXPIRY_DAYS = 7;
+const SAVE_DELAY_MS = 500;
+
+/**
+ * Reads the draft settings of a form. Drafts are opt-in, through `properties.drafts`
+ * in the form definition or a `drafts` variant on the form block.
+ * `properties.draftExpiry` sets the number of days a draft is kept.
+ * @param {Object} formDef The form definition
+ * @param {HTMLElement} block The form block
+ * @returns {Object} `{ expiryDays }`, or null if drafts are off
+ */
+export function getDraftConfig(formDef, block) {
+  const { drafts, draftExpiry } = formDef?.properties || {};
+  const enabled = drafts === true || drafts === 'true' || block?.classList.contains('drafts');
+  if (!enabled) return null;
+  return { expiryDays: parseFloat(draftExpiry) || DEFAULT_EXPIRY_DAYS };
+}
+
+function getDraftKey(formId) {
+  return `${DRAFT_STORAGE_PREFIX}:${formId}:${getCurrentLocale().localeKey}`;
+}
+
+function readDraft(key) {
+  try {
+    const draft = JSON.parse(localStorage.getItem(key));
+    if (draft && draft.expires > Date.now()) return draft;
+    localStorage.removeItem(key);
+  } catch (e) {
+    // storage unavailable or draft unreadable
+  }
+  return null;
+}
+
+function writeDraft(key, draft) {
+  try {
+    localStorage.setItem(key, JSON.stringify(draft));
+  } catch (e) {
+    // storage full or unavailable, the form keeps working without drafts
+  }
+}
+
+/**
+ * Removes the saved draft of a form, e.g. after a successful submit.
+ * @param {HTMLFormElement} form The form
+ */
+export function clearDraft(form) {
+  const key = form?.dataset?.draftKey;
+  if (!key) return;
+  try {
+    localStorage.removeItem(key);
+  } catch (e) {
+    // storage unavailable
+  }
+}
+
+/**
+ * Checks whether a field must never be stored: file inputs, passwords, payment card
+ * fields, fields marked sensitive in the form definition and the spam honeypot.
+ * @param {HTMLElement} fe The form element
+ * @returns {boolean} True if the field is excluded from drafts
+ */
+function isExcluded(fe) {
+  return ['file', 'password'].includes(fe.type)
+    || /^cc-/.test(fe.autocomplete || '')
+    || !!fe.closest('[data-sensitive="true"]')
+    || !!fe.dataset.spamTrap;
+}
+
+function getWizardSteps(form) {
+  return [...form.querySelectorAll('.wizard')].map((panel) => {
+    const current = panel.querySelector(':scope > .current-wizard-step');
+    return current ? +current.dataset.index : 0;
+  });
+}
+
+function restoreWizardSteps(form, steps = []) {
+  form.querySelectorAll('.wizard').forEach((panel, index) => {
+    const step = panel.querySelector(`:scope > fieldset[data-index="${steps[index]}"]`);
+    if (step) activateStep(panel, step);
+  });
+}
+
+/**
+ * Keys every named form element by name and occurrence, so repeated
+ * instances map to the same element again on restore.
+ * @param {HTMLFormElement} form The form
+ * @returns {Array} `[key, element]` pairs
+ */
+function getKeyedElements(form) {
+  const counts = {};
+  return [...form.elements]
+    .filter((fe) => fe.name && !fe.matches('button, fieldset') && !isExcluded(fe))
+    .map((fe) => {
+      counts[fe.name] = (counts[fe.name] ?? -1) + 1;
+      return [`${fe.name}#${counts[fe.name]}`, fe];
+    });
+}
+
+/**
+ * Draft adapter of document based forms, reading and writing the DOM.
+ */
+export const documentDraftAdapter = {
+  getData(form) {
+    return {
+      repeats: [...form.querySelectorAll('.repeat-wrapper')]
+        .map((wrapper) => wrapper.querySelectorAll(':scope > [data-repeatable="true"]').length),
+      values: Object.fromEntries(getKeyedElements(form).map(([key, fe]) => [
+        key,
+        ['checkbox', 'radio'].includes(fe.type) ? fe.checked : fe.value,
+      ])),
+    };
+  },
+  setData(form, { repeats = [], values = {} }) {
+    form.querySelectorAll('.repeat-wrapper').forEach((wrapper, index) => {
+      const addButton = wrapper.querySelector(':scope > .repeat-actions .item-add');
+      const count = () => wrapper.querySelectorAll(':scope > [data-repeatable="true"]').length;
+      while (addButton && !addButton.disabled && count() < (repeats[index] || 0)) {
+        addButton.click();
+      }
+    });
+    getKeyedElements(form).forEach(([key, fe]) => {
+      if (!(key in values)) return;
+      const property = ['checkbox', 'radio'].includes(fe.type) ? 'checked' : 'value';
+      if (fe[property] === values[key]) return;
+      fe[property] = values[key];
+      fe.dispatchEvent(new Event('change', { bubbles: true }));
+    });
+  },
+};
+
+/**
+ * Removes a field's value from exported form data, following its qualified name
+ * (e.g. `$form.contact.items[1].iban`).
+ * @param {Object} data The exported data
+ * @param {string} qualifiedName The field's qualified name
+ */
+function removeDataValue(data, qualifiedName) {
+  const path = qualifiedName.replace(/^\$form\.?/, '').split(/\.|\[(\d+)\]/).filter(Boolean);
+  const last = path.pop();
+  const parent = path.reduce((node, segment) => node?.[segment], data);
+  if (parent && typeof parent === 'object') delete parent[last];
+}
+
+/**
+ * Creates the draft adapter of adaptive forms, reading and writing the form model
+ * restored from the rule engine.
+ * @param {Function} getModel Returns the form model, once the rule engine is loaded
+ * @returns {Object} The adapter
+ */
+export function createModelDraftAdapter(getModel) {
+  return {
+    getData() {
+      const model = getModel();
+      if (!model) return null;
+      const data = JSON.parse(JSON.stringify(model.exportData() || {}));
+      model.visit((field) => {
+        const sensitive = [true, 'true'].includes(field.properties?.sensitive);
+        if (field.fieldType === 'file-input' || field.fieldType === 'password' || sensitive) {
+          removeDataValue(data, field.qualifiedName);
+        }
+      });
+      return data;
+    },
+    setData(form, data) {
+      getModel()?.importData(data);
+    },
+  };
+}
+
+function createNotice(draft, onResume, onDiscard, formId) {
+  const notice = document.createElement('div');
+  notice.className = 'form-message draft-message';
+  notice.setAttribute('role', 'status');
+
+  const text = document.createElement('p');
+  const saved = new Date(draft.saved).toLocaleString(getCurrentLocale().hreflang);
+  text.textContent = getFormMessage('draftFound', formId, saved);
+
+  const resume = document.createElement('button');
+  resume.type = 'button';
+  resume.className = 'draft-resume';
+  resume.textContent = getFormMessage('draftResume', formId);
+  resume.addEventListener('click', () => {
+    notice.remove();
+    onResume();
+  });
+
+  const discard = document.createElement('button');
+  discard.type = 'button';
+  discard.className = 'draft-discard';
+  discard.textContent = getFormMessage('draftDiscard', formId);
+  discard.addEventListener('click', () => {
+    notice.remove();
+    onDiscard();
+  });
+
+  notice.append(text, resume, discard);
+  return notice;
+}
+
+/**
+ * Autosaves a form's values and wizard steps to local storage, keyed by form id and locale,
+ * and offers to resume a saved draft.
+ * @param {HTMLFormElement} form The form
+ * @param {Object} options
+ * @param {string} options.formId The form id
+ * @param {number} options.expiryDays Days a draft is kept
+ * @param {Object} options.adapter Reads and writes the form values (`getData`, `setData`)
+ */
+export default function initDrafts(form, { formId, expiryDays, adapter }) {
+  const key = getDraftKey(formId);
+  form.dataset.draftKey = key;
+  // for the form replacing this one when it's reset
+  form['#drafts'] = { formId, expiryDays, adapter };
+
+  const draft = readDraft(key);
+  const notice = draft && createNotice(draft, () => {
+    adapter.setData(form, draft.data);
+    restoreWizardSteps(form, draft.steps);
+  }, () => clearDraft(form), formId);
+  if (notice) form.prepend(notice);
+
+  let timer;
+  const save = () => {
+    // editing without resuming starts a new draft
+    notice?.remove();
+    window.clearTimeout(timer);
+    timer = window.setTimeout(() => {
+      if (form.getAttribute('data-submitting') === 'true') return;
+      const data = adapter.getData(form);
+      if (!data) return;
+      const saved = Date.now();
+      writeDraft(key, {
+        saved,
+        expires: saved + expiryDays * 24 * 60 * 60 * 1000,
+        steps: getWizardSteps(form),
+        data,
+      });
+    }, SAVE_DELAY_MS);
+  };
+
+  form.addEventListener('change', save);
+  // wizard:navigate doesn't bubble, so it is caught while capturing
+  form.addEventListener('wizard:navigate', save, true);
+  form.addEventListener('reset', () => {
+    window.clearTimeout(timer);
+    clearDraft(form);
+  });
+}
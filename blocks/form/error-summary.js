@@ -0,0 +1,130 @@
+import { activateStep } from './components/wizard/wizard.js';
+import { getFormMessage } from './messages.js';
+import { extractIdFromUrl } from './util.js';
+
+const SUMMARY_CLASS = 'form-error-summary';
+
+// live updates of the shown summaries
+const observers = new WeakMap();
+
+function isShown(wrapper) {
+  return !wrapper.closest('[data-visible="false"]');
+}
+
+/**
+ * Lists the invalid fields of a container, with the inline message of each.
+ * @param {HTMLElement} container The form or wizard step
+ * @returns {Array} `{ field, label, message }` in document order
+ */
+function getErrors(container) {
+  return [...container.querySelectorAll('.field-invalid')]
+    .filter(isShown)
+    .map((wrapper) => {
+      const field = wrapper.querySelector('input:not([type="hidden"]), select, textarea');
+      const label = wrapper.querySelector(':scope > label, :scope > legend')?.textContent?.trim();
+      const message = wrapper.querySelector(':scope > .field-description')?.textContent?.trim();
+      return { field, label, message };
+    })
+    .filter(({ field, message }) => field && message);
+}
+
+// shows the wizard steps containing a field, so it can be focused
+function revealField(field) {
+  let step = field.closest('.wizard > fieldset:not(.current-wizard-step)');
+  while (step) {
+    activateStep(step.parentElement, step);
+    step = step.parentElement.closest('.wizard > fieldset:not(.current-wizard-step)');
+  }
+}
+
+function renderErrors(summary, errors) {
+  const list = summary.querySelector('ul');
+  list.replaceChildren(...errors.map(({ field, label, message }) => {
+    const item = document.createElement('li');
+    const link = document.createElement('a');
+    link.href = `#${field.id}`;
+    link.textContent = label ? `${label}: ${message}` : message;
+    link.addEventListener('click', (e) => {
+      e.preventDefault();
+      revealField(field);
+      field.focus();
+      field.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    });
+    item.append(link);
+    return item;
+  }));
+  summary.dataset.errors = errors.map(({ field, message }) => `${field.id}:${message}`).join('|');
+}
+
+/**
+ * Removes the error summary of a container.
+ * @param {HTMLElement} container The form or wizard step
+ */
+export function clearErrorSummary(container) {
+  observers.get(container)?.disconnect();
+  observers.delete(container);
+  container.querySelector(`:scope > .${SUMMARY_CLASS}`)?.remove();
+}
+
+function createSummary(formId) {
+  const summary = document.createElement('div');
+  summary.className = SUMMARY_CLASS;
+  summary.setAttribute('role', 'alert');
+  summary.tabIndex = -1;
+  const title = document.createElement('h2');
+  title.className = `${SUMMARY_CLASS}-title`;
+  title.textContent = getFormMessage('errorSummaryTitle', formId);
+  summary.append(title, document.createElement('ul'));
+  return summary;
+}
+
+/**
+ * Shows a summary of the invalid fields at the top of a form or wizard step, linking to
+ * each field. The summary follows the inline messages as errors are fixed, and is removed
+ * once all of them are.
+ * @param {HTMLElement} container The form or wizard step
+ * @returns {boolean} True if there were errors to show
+ */
+export function showErrorSummary(container) {
+  clearErrorSummary(container);
+  const errors = getErrors(container);
+  if (!errors.length) return false;
+
+  const form = container.closest('form') || container;
+  const summary = createSummary(extractIdFromUrl(form.dataset?.action));
+  renderErrors(summary, errors);
+  const legend = container.querySelector(':scope > legend');
+  if (legend) {
+    legend.after(summary);
+  } else {
+    container.prepend(summary);
+  }
+  summary.focus();
+  summary.scrollIntoView({ behavior: 'smooth' });
+
+  const observer = new MutationObserver((mutations) => {
+    if (mutations.every(({ target }) => summary.contains(target))) return;
+    const current = getErrors(container);
+    if (!current.length) {
+      clearErrorSummary(container);
+      return;
+    }
+    const key = current.map(({ field, message }) => `${field.id}:${message}`).join('|');
+    if (key !== summary.dataset.errors) renderErrors(summary, current);
+  });
+  observer.observe(container, {
+    subtree: true, childList: true, characterData: true, attributeFilter: ['class', 'data-visible'],
+  });
+  observers.set(container, observer);
+  return true;
+}
+
+/**
+ * Shows error summaries in the steps of a form's wizards when navigating forward fails.
+ * @param {HTMLFormElement} form The form
+ */
+export function initErrorSummary(form) {
+  form.addEventListener('wizard:invalid', (e) => {
+    if (showErrorSummary(e.detail.container)) e.preventDefault();
+  });
+}
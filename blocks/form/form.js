@@ -1,10 +1,18 @@
 import { createOptimizedPicture } from '../../scripts/aem.js';
+import { loadPlaceholders } from '../../scripts/i18n.js';
 import transferRepeatableDOM, { insertAddButton, insertRemoveButton } from './components/repeat/repeat.js';
 import { emailPattern, getSubmitBaseUrl, SUBMISSION_SERVICE } from './constant.js';
-import GoogleReCaptcha from './integrations/recaptcha.js';
+import createCaptcha from './integrations/captcha.js';
+import initDrafts, { createModelDraftAdapter, documentDraftAdapter, getDraftConfig } from './drafts.js';
+import { initErrorSummary } from './error-summary.js';
 import componentDecorator from './mappings.js';
+import { setFormMessages, getFormMessage } from './messages.js';
+import { getSpamConfig, initSpamProtection } from './spam-protection.js';
 import { handleSubmit } from './submit.js';
+import { getSubmitAdapterConfig } from './submit-adapters.js';
+import { initSubmitQueue } from './submit-queue.js';
 import DocBasedFormToAF from './transform.js';
+import { initValidators } from './validators.js';
 import {
   checkValidation,
   createButton,
@@ -17,6 +25,7 @@ import {
   getHTMLRenderType,
   getSitePageName,
   setConstraints,
+  setFormMessageResolver,
   setPlaceholder,
   stripTags,
   createRadioOrCheckbox,
@@ -27,6 +36,9 @@ export const DELAY_MS = 0;
 let captchaField;
 let afModule;
 
+// validation messages follow the page locale
+setFormMessageResolver(getFormMessage);
+
 const withFieldWrapper = (element) => (fd) => {
   const wrapper = createFieldWrapper(fd);
   wrapper.append(element(fd));
@@ -344,7 +356,7 @@ async function createFormForAuthoring(formDef) {
   return form;
 }
 
-export async function createForm(formDef, data) {
+export async function createForm(formDef, data, source = 'aem') {
   const { action: formPath } = formDef;
   const form = document.createElement('form');
   form.dataset.action = formPath;
@@ -353,24 +365,24 @@ export async function createForm(formDef, data) {
     form.className = formDef.appliedCssClassNames;
   }
   const formId = extractIdFromUrl(formPath); // formDef.id returns $form after getState()
+  setFormMessages(formId, formDef.properties?.messages);
   await generateFormRendition(formDef, form, formId);
 
+  // invisible spam defenses of document based forms, on by default; adaptive forms are
+  // submitted by the form model, which doesn't check them
+  const spamConfig = source === 'sheet' && getSpamConfig(formDef, true);
+  if (spamConfig) initSpamProtection(form, spamConfig);
+
   let captcha;
   if (captchaField) {
-    let config = captchaField?.properties?.['fd:captcha']?.config;
-    if (!config) {
-      config = {
-        siteKey: captchaField?.value,
-        uri: captchaField?.uri,
-        version: captchaField?.version,
-      };
-    }
     const pageName = getSitePageName(captchaField?.properties?.['fd:path']);
-    captcha = new GoogleReCaptcha(config, captchaField.id, captchaField.name, pageName);
+    captcha = createCaptcha(captchaField, pageName);
     captcha.loadCaptcha(form);
   }
 
   enableValidation(form);
+  initValidators(form);
+  initErrorSummary(form);
   transferRepeatableDOM(form);
 
   if (afModule && typeof Worker === 'undefined') {
@@ -380,8 +392,12 @@ export async function createForm(formDef, data) {
   }
 
   form.addEventListener('reset', async () => {
-    const response = await createForm(formDef);
+    const response = await createForm(formDef, data, source);
     if (response?.form) {
+      // the new form keeps the settings decorate gave this one, like its source, submit
+      // adapter and drafts, so it's submitted the same way
+      Object.assign(response.form.dataset, form.dataset);
+      if (form['#drafts']) initDrafts(response.form, form['#drafts']);
       document.querySelector(`[data-action="${form?.dataset?.action}"]`)?.replaceWith(response?.form);
     }
   });
@@ -509,6 +525,10 @@ function addRequestContextToForm(formDef) {
 }
 
 export default async function decorate(block) {
+  // UI strings of the form components come from the locale's placeholders
+  const placeholdersLoaded = loadPlaceholders();
+  // send submissions queued while offline
+  initSubmitQueue();
   let container = block.querySelector('a[href]');
   let formDef;
   let pathname;
@@ -522,6 +542,7 @@ export default async function decorate(block) {
   let rules = true;
   let form;
   if (formDef) {
+    await placeholdersLoaded;
     const submitProps = formDef?.properties?.['fd:submit'];
     const actionType = submitProps?.actionName || formDef?.properties?.actionType;
     const spreadsheetUrl = submitProps?.spreadsheet?.spreadsheetUrl
@@ -539,7 +560,7 @@ export default async function decorate(block) {
       const transform = new DocBasedFormToAF();
       formDef = transform.transform(formDef);
       source = 'sheet';
-      const response = await createForm(formDef);
+      const response = await createForm(formDef, undefined, source);
       form = response?.form;
       const docRuleEngine = await import('./rules-doc/index.js');
       docRuleEngine.default(formDef, form);
@@ -557,11 +578,23 @@ export default async function decorate(block) {
     form.dataset.thankYouMsg = formDef.thankYouMsg || '';
     form.dataset.action = formDef.action || pathname?.split('.json')[0];
     form.dataset.source = source;
+    form.dataset.submitAdapter = JSON.stringify(getSubmitAdapterConfig(formDef));
     form.dataset.rules = rules;
     form.dataset.id = formDef.id;
     if (source === 'aem' && formDef.properties && formDef.properties['fd:path']) {
       form.dataset.formpath = formDef.properties['fd:path'];
     }
     container.replaceWith(form);
+
+    const draftConfig = getDraftConfig(formDef, block);
+    if (draftConfig && !block.classList.contains('edit-mode')) {
+      initDrafts(form, {
+        ...draftConfig,
+        formId: formDef.id || pathname || form.dataset.action,
+        adapter: rules
+          ? createModelDraftAdapter(() => afModule?.getFormModel?.(form.dataset.id))
+          : documentDraftAdapter,
+      });
+    }
   }
 }
@@ -0,0 +1,168 @@
+import { loadScript } from '../../../scripts/aem.js';
+import { getFormMessage } from '../messages.js';
+
+export const CAPTCHA_CONSENT_EVENT = 'captcha:consent';
+
+let consentGranted;
+
+/**
+ * Records the visitor's consent to load third-party captcha scripts, and notifies
+ * the forms waiting for it. Consent management platforms can call this, or dispatch
+ * CAPTCHA_CONSENT_EVENT on window with `detail.granted`.
+ * @param {boolean} granted Whether consent is given
+ */
+export function setCaptchaConsent(granted) {
+  consentGranted = !!granted;
+  window.dispatchEvent(new CustomEvent(CAPTCHA_CONSENT_EVENT, {
+    detail: { granted: consentGranted, recorded: true },
+  }));
+}
+
+/**
+ * Base class of captcha providers.
+ *
+ * Subclasses implement `load(form)`, loading the provider once the submit button is visible,
+ * and `execute()`, resolving to the token. Providers loading third-party scripts wait for
+ * consent when the captcha config has `consentRequired`, and offer to load on a click.
+ */
+export default class CaptchaProvider {
+  id;
+
+  name;
+
+  config;
+
+  formName;
+
+  form;
+
+  loadPromise;
+
+  // payload field of the token in document based forms
+  responseField = 'captcha-response';
+
+  // false for providers that don't contact a third party
+  thirdParty = true;
+
+  constructor(config, id, name, formName) {
+    this.config = config;
+    this.name = name;
+    this.id = id;
+    this.formName = formName;
+  }
+
+  /**
+   * Loads a provider script once.
+   * @param {string} url The script URL
+   * @param {string} global The global the script defines
+   * @returns {Promise} Resolves to the global
+   */
+  loadScript(url, global) {
+    if (!this.loadPromise) {
+      this.loadPromise = loadScript(url, { async: '' }).then(() => window[global]);
+    }
+    return this.loadPromise;
+  }
+
+  isConfigured() {
+    return !!this.config.siteKey;
+  }
+
+  hasConsent() {
+    const required = [true, 'true'].includes(this.config.consentRequired);
+    return !this.thirdParty || !required || consentGranted === true;
+  }
+
+  getWrapper(form) {
+    return form.querySelector(`.field-wrapper[data-id="${this.id}"]`);
+  }
+
+  #showConsentNotice(form, onConsent) {
+    const wrapper = this.getWrapper(form);
+    if (!wrapper) return;
+    const notice = document.createElement('div');
+    notice.className = 'captcha-consent';
+    const text = document.createElement('p');
+    text.textContent = getFormMessage('captchaConsent', this.formName, this.config.providerName);
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.textContent = getFormMessage('captchaConsentAccept', this.formName);
+    button.addEventListener('click', () => setCaptchaConsent(true));
+    notice.append(text, button);
+    wrapper.replaceChildren(notice);
+    wrapper.classList.add('captcha-visible');
+
+    const onEvent = ({ detail }) => {
+      if (!detail?.granted) return;
+      window.removeEventListener(CAPTCHA_CONSENT_EVENT, onEvent);
+      // consent from a consent management platform, not recorded yet
+      if (!detail.recorded) consentGranted = true;
+      notice.remove();
+      wrapper.classList.remove('captcha-visible');
+      onConsent();
+    };
+    window.addEventListener(CAPTCHA_CONSENT_EVENT, onEvent);
+  }
+
+  loadCaptcha(form) {
+    this.form = form;
+    if (!form || !this.isConfigured()) {
+      // eslint-disable-next-line no-console
+      console.warn('Captcha configuration in missing.');
+      // eslint-disable-next-line no-alert
+      alert('Captcha can not be loaded. Captcha configuration in missing.');
+      return;
+    }
+    const submit = form.querySelector('button[type="submit"]');
+    if (submit == null) {
+      // eslint-disable-next-line no-console
+      console.warn('Captcha can not be loaded. Submit button is missing.');
+      // eslint-disable-next-line no-alert
+      alert('Captcha can not be loaded. Add Submit button.');
+      return;
+    }
+    const observe = () => {
+      const obs = new IntersectionObserver((entries) => {
+        if (entries.some((entry) => entry.isIntersecting)) {
+          obs.disconnect();
+          // unless a submit loaded it already
+          if (!this.loadPromise) this.load(form);
+        }
+      });
+      obs.observe(submit);
+    };
+    if (this.hasConsent()) {
+      observe();
+    } else {
+      this.#showConsentNotice(form, observe);
+    }
+  }
+
+  // eslint-disable-next-line class-methods-use-this, no-unused-vars
+  load(form) {
+    throw new Error('Captcha providers must implement load()');
+  }
+
+  // eslint-disable-next-line class-methods-use-this
+  async execute() {
+    throw new Error('Captcha providers must implement execute()');
+  }
+
+  /**
+   * Loads the provider first if the form is submitted before the submit button was visible.
+   * @returns {Promise<string>} The token, null if the captcha isn't configured
+   * @throws {Error} Without consent, with the `messageKey` of the message to show
+   */
+  async getToken() {
+    if (!this.isConfigured()) return null;
+    if (!this.hasConsent()) {
+      const error = new Error('Captcha consent missing');
+      error.messageKey = 'captchaConsentRequired';
+      throw error;
+    }
+    if (!this.loadPromise && this.form) this.load(this.form);
+    if (!this.loadPromise) throw new Error('Captcha not loaded');
+    await this.loadPromise;
+    return this.execute();
+  }
+}
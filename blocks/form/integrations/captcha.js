@@ -0,0 +1,61 @@
+import HCaptcha from './hcaptcha.js';
+import ProofOfWork from './proof-of-work.js';
+import GoogleReCaptcha from './recaptcha.js';
+import Turnstile from './turnstile.js';
+
+export { CAPTCHA_CONSENT_EVENT, setCaptchaConsent } from './captcha-provider.js';
+
+const PROVIDER_NAMES = {
+  recaptcha: 'Google reCAPTCHA',
+  turnstile: 'Cloudflare Turnstile',
+  hcaptcha: 'hCaptcha',
+};
+
+const providers = {
+  recaptcha: GoogleReCaptcha,
+  turnstile: Turnstile,
+  hcaptcha: HCaptcha,
+  pow: ProofOfWork,
+};
+
+// captcha instances by field id, for fetchCaptchaToken
+const instances = new Map();
+
+/**
+ * Registers a captcha provider class (see CaptchaProvider).
+ * @param {string} name The provider name, as set in the captcha config
+ * @param {Function} Provider The provider class
+ */
+export function registerCaptchaProvider(name, Provider) {
+  providers[name] = Provider;
+}
+
+/**
+ * Creates the captcha of a captcha field. The provider is the field's `captchaProvider`
+ * or the config's `provider`, Google reCAPTCHA by default.
+ * @param {Object} field The captcha field definition
+ * @param {string} formName The form name, used in reCAPTCHA Enterprise actions
+ * @returns {CaptchaProvider} The captcha
+ */
+export default function createCaptcha(field, formName) {
+  const config = { ...(field?.properties?.['fd:captcha']?.config || {}) };
+  if (!config.siteKey) {
+    config.siteKey = field?.captchaSiteKey || field?.value;
+    config.uri = config.uri || field?.uri;
+    config.version = config.version || field?.version;
+  }
+  const name = `${field?.captchaProvider || config.provider || 'recaptcha'}`.toLowerCase();
+  const Provider = providers[name] || GoogleReCaptcha;
+  config.providerName = config.providerName || PROVIDER_NAMES[name] || name;
+  const captcha = new Provider(config, field.id, field.name, formName);
+  instances.set(field.id, captcha);
+  return captcha;
+}
+
+/**
+ * @param {string} id The captcha field id
+ * @returns {CaptchaProvider} The captcha created for the field
+ */
+export function getCaptcha(id) {
+  return instances.get(id);
+}
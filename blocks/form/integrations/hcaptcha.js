@@ -0,0 +1,34 @@
+import CaptchaProvider from './captcha-provider.js';
+
+const HCAPTCHA_SCRIPT = 'https://js.hcaptcha.com/1/api.js?render=explicit';
+
+/**
+ * hCaptcha in invisible mode; a challenge is shown on submit when needed.
+ * Enterprise accounts can set `uri` to a self-hosted script URL.
+ */
+export default class HCaptcha extends CaptchaProvider {
+  responseField = 'h-captcha-response';
+
+  widgetId;
+
+  load(form) {
+    const wrapper = this.getWrapper(form);
+    this.loadScript(this.config.uri || HCAPTCHA_SCRIPT, 'hcaptcha').then((hcaptcha) => {
+      const container = document.createElement('div');
+      container.className = 'captcha-widget';
+      wrapper.replaceChildren(container);
+      this.widgetId = hcaptcha.render(container, {
+        sitekey: this.config.siteKey,
+        size: 'invisible',
+        theme: this.config.theme || 'light',
+      });
+    });
+  }
+
+  async execute() {
+    const { hcaptcha } = window;
+    hcaptcha.reset(this.widgetId);
+    const { response } = await hcaptcha.execute(this.widgetId, { async: true });
+    return response;
+  }
+}
@@ -0,0 +1,79 @@
+import CaptchaProvider from './captcha-provider.js';
+
+const DEFAULT_DIFFICULTY = 16;
+
+function countLeadingZeroBits(bytes) {
+  let bits = 0;
+  // eslint-disable-next-line no-restricted-syntax
+  for (const byte of bytes) {
+    if (byte === 0) {
+      bits += 8;
+    } else {
+      return bits + Math.clz32(byte) - 24;
+    }
+  }
+  return bits;
+}
+
+/**
+ * Finds a nonce so that the SHA-256 hash of `challenge + nonce` starts with
+ * `difficulty` zero bits.
+ * @param {string} challenge The challenge
+ * @param {number} difficulty The number of leading zero bits
+ * @returns {Promise<number>} The nonce
+ */
+export async function solveChallenge(challenge, difficulty) {
+  const encoder = new TextEncoder();
+  for (let nonce = 0; ; nonce += 1) {
+    // eslint-disable-next-line no-await-in-loop
+    const hash = await crypto.subtle.digest('SHA-256', encoder.encode(`${challenge}${nonce}`));
+    if (countLeadingZeroBits(new Uint8Array(hash)) >= difficulty) return nonce;
+  }
+}
+
+/**
+ * Self-hosted proof-of-work challenge, without third-party scripts or cookies.
+ *
+ * `challengeUrl` returns `{ challenge, difficulty }`; the challenge should be signed and
+ * expire, so the server can check it statelessly. The token is `challenge:nonce`, and the
+ * server verifies that the SHA-256 hash of `challenge + nonce` has `difficulty` leading
+ * zero bits and that the challenge wasn't used before.
+ */
+export default class ProofOfWork extends CaptchaProvider {
+  responseField = 'pow-response';
+
+  thirdParty = false;
+
+  solution;
+
+  isConfigured() {
+    return !!this.config.challengeUrl;
+  }
+
+  async solve() {
+    const response = await fetch(this.config.challengeUrl, { cache: 'no-store' });
+    if (!response.ok) throw new Error(`Failed to load the challenge: ${response.status}`);
+    const { challenge, difficulty } = await response.json();
+    const nonce = await solveChallenge(challenge, +difficulty || DEFAULT_DIFFICULTY);
+    return `${challenge}:${nonce}`;
+  }
+
+  #prepare() {
+    this.solution = this.solve();
+    // failures surface when the token is requested
+    this.solution.catch(() => {});
+  }
+
+  // solving starts when the submit button is visible, so the token is usually ready on submit
+  load() {
+    this.#prepare();
+    this.loadPromise = Promise.resolve();
+  }
+
+  async execute() {
+    const { solution } = this;
+    // challenges are single use, prepare the next one
+    this.#prepare();
+    return solution.catch(() => this.solution);
+  }
+}
@@ -0,0 +1,44 @@
+import CaptchaProvider from './captcha-provider.js';
+
+const TURNSTILE_SCRIPT = 'https://challenges.cloudflare.com/turnstile/v0/api.js?render=explicit';
+
+/**
+ * Cloudflare Turnstile, rendered in the captcha field and only shown when the
+ * visitor has to interact with it.
+ */
+export default class Turnstile extends CaptchaProvider {
+  responseField = 'cf-turnstile-response';
+
+  widgetId;
+
+  pending;
+
+  load(form) {
+    const wrapper = this.getWrapper(form);
+    this.loadScript(TURNSTILE_SCRIPT, 'turnstile').then((turnstile) => {
+      const container = document.createElement('div');
+      container.className = 'captcha-widget';
+      wrapper.replaceChildren(container);
+      wrapper.classList.add('captcha-visible');
+      this.widgetId = turnstile.render(container, {
+        sitekey: this.config.siteKey,
+        theme: this.config.theme || 'auto',
+        size: this.config.size || 'flexible',
+        appearance: 'interaction-only',
+        execution: 'execute',
+        callback: (token) => this.pending?.resolve(token),
+        'error-callback': (error) => this.pending?.reject(new Error(`Turnstile error ${error}`)),
+      });
+    });
+  }
+
+  async execute() {
+    const { turnstile } = window;
+    return new Promise((resolve, reject) => {
+      this.pending = { resolve, reject };
+      // tokens are single use
+      turnstile.reset(this.widgetId);
+      turnstile.execute(this.widgetId);
+    });
+  }
+}
@@ -0,0 +1,371 @@
+import { t } from '../../scripts/i18n.js';
+import { getCurrentLocale } from '../../scripts/language-mapping.js';
+import {
+  DEFAULT_THANK_YOU_MESSAGE,
+  defaultErrorMessages,
+  dragDropText,
+  fileAttachmentText,
+} from './constant.js';
+
+/**
+ * Built-in form messages per language, with optional regional variants (e.g. `de-ch`).
+ * `$0` is replaced with the constraint value.
+ */
+export const FORM_MESSAGES = {
+  en: {
+    ...defaultErrorMessages,
+    thankYou: DEFAULT_THANK_YOU_MESSAGE,
+    fileAttachment: fileAttachmentText,
+    dragDrop: dragDropText,
+    submitError: 'Some error occurred while submitting the form',
+    submitQueued: 'You are offline. Your submission is saved and will be sent automatically as soon as a connection is available.',
+    draftFound: 'You have unsaved answers from $0.',
+    draftResume: 'Resume where you left off',
+    draftDiscard: 'Start over',
+    captchaConsent: 'This form is protected by $0. Loading it sends data to the provider.',
+    captchaConsentAccept: 'Allow and load',
+    captchaConsentRequired: 'Allow the captcha above to send the form.',
+    errorSummaryTitle: 'There is a problem',
+    validatorEquals: 'This must match $0.',
+    validatorAfter: 'This must be after $0.',
+    validatorAtLeastOne: 'Fill in this field or $0.',
+    validatorRemote: 'This value is not valid.',
+    validatorPending: 'Checking…',
+    reviewTitle: 'Check your answers',
+    reviewEdit: 'Change',
+    reviewReturn: 'Back to summary',
+    reviewEmpty: 'Not provided',
+    reviewYes: 'Yes',
+    reviewNo: 'No',
+    fileRemove: 'Remove $0',
+    fileCancelUpload: 'Cancel the upload of $0',
+    fileUploadProgress: 'Uploading $0',
+    fileUploading: 'Wait until the files are uploaded.',
+    fileUploadFailed: '$0 could not be uploaded. Remove it and try again.',
+    signatureCanvas: 'Signature. Draw with a mouse, finger or pen, or type your name instead.',
+    signatureTypedLabel: 'Your full name',
+    signatureUndo: 'Undo',
+    signatureClear: 'Clear',
+    signatureType: 'Type your name instead',
+    signatureDraw: 'Draw instead',
+    phoneCountry: 'Country',
+    phoneOtherCountry: 'Other country',
+    phoneInvalid: 'Enter a valid phone number for $0.',
+    phoneInvalidInternational: 'Enter a valid phone number, starting with + and the country code.',
+    addressCountry: 'Country',
+    addressLine1: 'Address line 1',
+    addressLine2: 'Address line 2 (optional)',
+    addressCity: 'City',
+    addressTown: 'Town or city',
+    addressPostcode: 'Postcode',
+    addressZip: 'ZIP code',
+    addressRegion: 'Region',
+    addressState: 'State',
+    addressProvince: 'Province',
+    addressFieldMissing: 'Complete the address: $0 is missing.',
+    addressPostcodeInvalid: 'Enter a valid postcode, for example $0.',
+    addressRegionInvalid: 'Enter a valid $0.',
+  },
+  de: {
+    accept: 'Der angegebene Dateityp wird nicht unterstützt.',
+    maxFileSize: 'Die Datei ist zu groß. Verkleinern Sie sie und versuchen Sie es erneut.',
+    maxItems: 'Geben Sie höchstens $0 Elemente an.',
+    minItems: 'Geben Sie mindestens $0 Elemente an.',
+    pattern: 'Geben Sie den Wert im zulässigen Format an: $0.',
+    minLength: 'Dieser Text muss mindestens $0 Zeichen lang sein.',
+    maxLength: 'Dieser Text darf höchstens $0 Zeichen lang sein.',
+    maximum: 'Der Wert muss kleiner oder gleich $0 sein.',
+    minimum: 'Der Wert muss größer oder gleich $0 sein.',
+    required: 'Bitte füllen Sie dieses Feld aus.',
+    thankYou: 'Vielen Dank für Ihre Übermittlung.',
+    fileAttachment: 'Anhängen',
+    dragDrop: 'Zum Hochladen hierher ziehen und ablegen',
+    submitError: 'Beim Senden des Formulars ist ein Fehler aufgetreten.',
+    submitQueued: 'Sie sind offline. Ihre Angaben sind gespeichert und werden automatisch gesendet, sobald eine Verbindung besteht.',
+    draftFound: 'Sie haben ungesendete Angaben vom $0.',
+    draftResume: 'Dort weitermachen, wo Sie aufgehört haben',
+    draftDiscard: 'Neu beginnen',
+    captchaConsent: 'Dieses Formular ist durch $0 geschützt. Beim Laden werden Daten an den Anbieter übermittelt.',
+    captchaConsentAccept: 'Zulassen und laden',
+    captchaConsentRequired: 'Lassen Sie das Captcha oben zu, um das Formular zu senden.',
+    errorSummaryTitle: 'Es gibt ein Problem',
+    validatorEquals: 'Dieser Wert muss mit $0 übereinstimmen.',
+    validatorAfter: 'Dieser Wert muss nach $0 liegen.',
+    validatorAtLeastOne: 'Füllen Sie dieses Feld oder $0 aus.',
+    validatorRemote: 'Dieser Wert ist ungültig.',
+    validatorPending: 'Wird geprüft…',
+    reviewTitle: 'Angaben prüfen',
+    reviewEdit: 'Ändern',
+    reviewReturn: 'Zurück zur Übersicht',
+    reviewEmpty: 'Keine Angabe',
+    reviewYes: 'Ja',
+    reviewNo: 'Nein',
+    fileRemove: '$0 entfernen',
+    fileCancelUpload: 'Hochladen von $0 abbrechen',
+    fileUploadProgress: '$0 wird hochgeladen',
+    fileUploading: 'Warten Sie, bis die Dateien hochgeladen sind.',
+    fileUploadFailed: '$0 konnte nicht hochgeladen werden. Entfernen Sie die Datei und versuchen Sie es erneut.',
+    signatureCanvas: 'Unterschrift. Zeichnen Sie mit Maus, Finger oder Stift oder geben Sie stattdessen Ihren Namen ein.',
+    signatureTypedLabel: 'Ihr vollständiger Name',
+    signatureUndo: 'Rückgängig',
+    signatureClear: 'Löschen',
+    signatureType: 'Stattdessen Namen eingeben',
+    signatureDraw: 'Stattdessen zeichnen',
+    phoneCountry: 'Land',
+    phoneOtherCountry: 'Anderes Land',
+    phoneInvalid: 'Geben Sie eine gültige Telefonnummer für $0 ein.',
+    phoneInvalidInternational: 'Geben Sie eine gültige Telefonnummer ein, beginnend mit + und der Landesvorwahl.',
+    addressCountry: 'Land',
+    addressLine1: 'Straße und Hausnummer',
+    addressLine2: 'Adresszusatz (optional)',
+    addressCity: 'Ort',
+    addressTown: 'Ort',
+    addressPostcode: 'PLZ',
+    addressZip: 'ZIP-Code',
+    addressRegion: 'Region',
+    addressState: 'Bundesstaat',
+    addressProvince: 'Provinz',
+    addressFieldMissing: 'Vervollständigen Sie die Adresse: $0 fehlt.',
+    addressPostcodeInvalid: 'Geben Sie eine gültige Postleitzahl ein, zum Beispiel $0.',
+    addressRegionInvalid: 'Geben Sie ein gültiges Feld „$0“ an.',
+  },
+  'de-ch': {
+    maxFileSize: 'Die Datei ist zu gross. Verkleinern Sie sie und versuchen Sie es erneut.',
+    minimum: 'Der Wert muss grösser oder gleich $0 sein.',
+  },
+  fr: {
+    accept: 'Ce type de fichier n’est pas pris en charge.',
+    maxFileSize: 'Fichier trop volumineux. Réduisez sa taille et réessayez.',
+    maxItems: 'Indiquez un nombre d’éléments inférieur ou égal à $0.',
+    minItems: 'Indiquez un nombre d’éléments supérieur ou égal à $0.',
+    pattern: 'Saisissez la valeur dans le format autorisé : $0.',
+    minLength: 'Veuillez allonger ce texte à $0 caractères ou plus.',
+    maxLength: 'Veuillez raccourcir ce texte à $0 caractères ou moins.',
+    maximum: 'La valeur doit être inférieure ou égale à $0.',
+    minimum: 'La valeur doit être supérieure ou égale à $0.',
+    required: 'Veuillez remplir ce champ.',
+    thankYou: 'Merci pour votre envoi.',
+    fileAttachment: 'Joindre',
+    dragDrop: 'Glisser-déposer pour téléverser',
+    submitError: 'Une erreur est survenue lors de l’envoi du formulaire.',
+    submitQueued: 'Vous êtes hors ligne. Votre envoi est enregistré et sera transmis automatiquement dès qu’une connexion sera disponible.',
+    draftFound: 'Vous avez des réponses non envoyées du $0.',
+    draftResume: 'Reprendre où vous en étiez',
+    draftDiscard: 'Recommencer',
+    captchaConsent: 'Ce formulaire est protégé par $0. Son chargement transmet des données au fournisseur.',
+    captchaConsentAccept: 'Autoriser et charger',
+    captchaConsentRequired: 'Autorisez le captcha ci-dessus pour envoyer le formulaire.',
+    errorSummaryTitle: 'Il y a un problème',
+    validatorEquals: 'Cette valeur doit correspondre à $0.',
+    validatorAfter: 'Cette valeur doit être postérieure à $0.',
+    validatorAtLeastOne: 'Remplissez ce champ ou $0.',
+    validatorRemote: 'Cette valeur n’est pas valide.',
+    validatorPending: 'Vérification…',
+    reviewTitle: 'Vérifiez vos réponses',
+    reviewEdit: 'Modifier',
+    reviewReturn: 'Retour au récapitulatif',
+    reviewEmpty: 'Non renseigné',
+    reviewYes: 'Oui',
+    reviewNo: 'Non',
+    fileRemove: 'Supprimer $0',
+    fileCancelUpload: 'Annuler le téléversement de $0',
+    fileUploadProgress: 'Téléversement de $0',
+    fileUploading: 'Attendez la fin du téléversement des fichiers.',
+    fileUploadFailed: '$0 n’a pas pu être téléversé. Supprimez-le et réessayez.',
+    signatureCanvas: 'Signature. Dessinez avec une souris, le doigt ou un stylet, ou saisissez plutôt votre nom.',
+    signatureTypedLabel: 'Votre nom complet',
+    signatureUndo: 'Annuler',
+    signatureClear: 'Effacer',
+    signatureType: 'Saisir mon nom à la place',
+    signatureDraw: 'Dessiner à la place',
+    phoneCountry: 'Pays',
+    phoneOtherCountry: 'Autre pays',
+    phoneInvalid: 'Saisissez un numéro de téléphone valide pour $0.',
+    phoneInvalidInternational: 'Saisissez un numéro de téléphone valide, commençant par + et l’indicatif du pays.',
+    addressCountry: 'Pays',
+    addressLine1: 'Adresse',
+    addressLine2: 'Complément d’adresse (facultatif)',
+    addressCity: 'Ville',
+    addressTown: 'Ville',
+    addressPostcode: 'Code postal',
+    addressZip: 'Code ZIP',
+    addressRegion: 'Région',
+    addressState: 'État',
+    addressProvince: 'Province',
+    addressFieldMissing: 'Complétez l’adresse : le champ « $0 » est vide.',
+    addressPostcodeInvalid: 'Saisissez un code postal valide, par exemple $0.',
+    addressRegionInvalid: 'Le champ « $0 » n’est pas valide.',
+  },
+  it: {
+    accept: 'Il tipo di file specificato non è supportato.',
+    maxFileSize: 'File troppo grande. Riduci le dimensioni e riprova.',
+    maxItems: 'Specifica un numero di elementi uguale o inferiore a $0.',
+    minItems: 'Specifica un numero di elementi uguale o superiore a $0.',
+    pattern: 'Specifica il valore nel formato consentito: $0.',
+    minLength: 'Allunga il testo ad almeno $0 caratteri.',
+    maxLength: 'Accorcia il testo a non più di $0 caratteri.',
+    maximum: 'Il valore deve essere minore o uguale a $0.',
+    minimum: 'Il valore deve essere maggiore o uguale a $0.',
+    required: 'Compila questo campo.',
+    thankYou: 'Grazie per l’invio.',
+    fileAttachment: 'Allega',
+    dragDrop: 'Trascina e rilascia per caricare',
+    submitError: 'Si è verificato un errore durante l’invio del modulo.',
+    submitQueued: 'Sei offline. Il tuo invio è stato salvato e verrà inviato automaticamente non appena sarà disponibile una connessione.',
+    draftFound: 'Hai delle risposte non inviate del $0.',
+    draftResume: 'Riprendi da dove avevi interrotto',
+    draftDiscard: 'Ricomincia',
+    captchaConsent: 'Questo modulo è protetto da $0. Il caricamento invia dati al fornitore.',
+    captchaConsentAccept: 'Consenti e carica',
+    captchaConsentRequired: 'Consenti il captcha qui sopra per inviare il modulo.',
+    errorSummaryTitle: 'Si è verificato un problema',
+    validatorEquals: 'Questo valore deve corrispondere a $0.',
+    validatorAfter: 'Questo valore deve essere successivo a $0.',
+    validatorAtLeastOne: 'Compila questo campo o $0.',
+    validatorRemote: 'Questo valore non è valido.',
+    validatorPending: 'Verifica in corso…',
+    reviewTitle: 'Controlla le tue risposte',
+    reviewEdit: 'Modifica',
+    reviewReturn: 'Torna al riepilogo',
+    reviewEmpty: 'Non indicato',
+    reviewYes: 'Sì',
+    reviewNo: 'No',
+    fileRemove: 'Rimuovi $0',
+    fileCancelUpload: 'Annulla il caricamento di $0',
+    fileUploadProgress: 'Caricamento di $0',
+    fileUploading: 'Attendi il completamento del caricamento dei file.',
+    fileUploadFailed: 'Impossibile caricare $0. Rimuovilo e riprova.',
+    signatureCanvas: 'Firma. Disegna con mouse, dito o penna, oppure digita il tuo nome.',
+    signatureTypedLabel: 'Il tuo nome completo',
+    signatureUndo: 'Annulla',
+    signatureClear: 'Cancella',
+    signatureType: 'Digita il nome',
+    signatureDraw: 'Disegna la firma',
+    phoneCountry: 'Paese',
+    phoneOtherCountry: 'Altro paese',
+    phoneInvalid: 'Inserisci un numero di telefono valido per $0.',
+    phoneInvalidInternational: 'Inserisci un numero di telefono valido, che inizi con + e il prefisso internazionale.',
+    addressCountry: 'Paese',
+    addressLine1: 'Indirizzo',
+    addressLine2: 'Informazioni aggiuntive (facoltativo)',
+    addressCity: 'Città',
+    addressTown: 'Città',
+    addressPostcode: 'CAP',
+    addressZip: 'Codice ZIP',
+    addressRegion: 'Regione',
+    addressState: 'Stato',
+    addressProvince: 'Provincia (sigla)',
+    addressFieldMissing: 'Completa l’indirizzo: il campo «$0» è vuoto.',
+    addressPostcodeInvalid: 'Inserisci un codice postale valido, ad esempio $0.',
+    addressRegionInvalid: 'Il campo «$0» non è valido.',
+  },
+  pl: {
+    accept: 'Wybrany typ pliku nie jest obsługiwany.',
+    maxFileSize: 'Plik jest za duży. Zmniejsz jego rozmiar i spróbuj ponownie.',
+    maxItems: 'Podaj liczbę elementów mniejszą lub równą $0.',
+    minItems: 'Podaj liczbę elementów większą lub równą $0.',
+    pattern: 'Podaj wartość w dozwolonym formacie: $0.',
+    minLength: 'Wydłuż ten tekst do co najmniej $0 znaków.',
+    maxLength: 'Skróć ten tekst do maksymalnie $0 znaków.',
+    maximum: 'Wartość musi być mniejsza lub równa $0.',
+    minimum: 'Wartość musi być większa lub równa $0.',
+    required: 'Wypełnij to pole.',
+    thankYou: 'Dziękujemy za przesłanie formularza.',
+    fileAttachment: 'Załącz',
+    dragDrop: 'Przeciągnij i upuść, aby przesłać',
+    submitError: 'Podczas wysyłania formularza wystąpił błąd.',
+    submitQueued: 'Brak połączenia. Formularz został zapisany i zostanie wysłany automatycznie, gdy połączenie będzie dostępne.',
+    draftFound: 'Masz niewysłane odpowiedzi z $0.',
+    draftResume: 'Kontynuuj od miejsca, w którym przerwano',
+    draftDiscard: 'Zacznij od nowa',
+    captchaConsent: 'Ten formularz jest chroniony przez $0. Jego załadowanie przekazuje dane dostawcy.',
+    captchaConsentAccept: 'Zezwól i załaduj',
+    captchaConsentRequired: 'Zezwól na captcha powyżej, aby wysłać formularz.',
+    errorSummaryTitle: 'Wystąpił problem',
+    validatorEquals: 'Ta wartość musi być zgodna z polem $0.',
+    validatorAfter: 'Ta wartość musi być późniejsza niż $0.',
+    validatorAtLeastOne: 'Wypełnij to pole lub $0.',
+    validatorRemote: 'Ta wartość jest nieprawidłowa.',
+    validatorPending: 'Sprawdzanie…',
+    reviewTitle: 'Sprawdź swoje odpowiedzi',
+    reviewEdit: 'Zmień',
+    reviewReturn: 'Wróć do podsumowania',
+    reviewEmpty: 'Nie podano',
+    reviewYes: 'Tak',
+    reviewNo: 'Nie',
+    fileRemove: 'Usuń $0',
+    fileCancelUpload: 'Anuluj przesyłanie $0',
+    fileUploadProgress: 'Przesyłanie $0',
+    fileUploading: 'Poczekaj, aż pliki zostaną przesłane.',
+    fileUploadFailed: 'Nie udało się przesłać $0. Usuń plik i spróbuj ponownie.',
+    signatureCanvas: 'Podpis. Narysuj go myszą, palcem lub rysikiem albo wpisz swoje imię i nazwisko.',
+    signatureTypedLabel: 'Imię i nazwisko',
+    signatureUndo: 'Cofnij',
+    signatureClear: 'Wyczyść',
+    signatureType: 'Wpisz imię i nazwisko',
+    signatureDraw: 'Narysuj podpis',
+    phoneCountry: 'Kraj',
+    phoneOtherCountry: 'Inny kraj',
+    phoneInvalid: 'Wpisz prawidłowy numer telefonu dla kraju $0.',
+    phoneInvalidInternational: 'Wpisz prawidłowy numer telefonu, zaczynający się od + i numeru kierunkowego kraju.',
+    addressCountry: 'Kraj',
+    addressLine1: 'Ulica i numer',
+    addressLine2: 'Dodatkowe informacje (opcjonalnie)',
+    addressCity: 'Miejscowość',
+    addressTown: 'Miejscowość',
+    addressPostcode: 'Kod pocztowy',
+    addressZip: 'Kod ZIP',
+    addressRegion: 'Region',
+    addressState: 'Stan',
+    addressProvince: 'Prowincja',
+    addressFieldMissing: 'Uzupełnij adres: pole „$0” jest puste.',
+    addressPostcodeInvalid: 'Wpisz prawidłowy kod pocztowy, na przykład $0.',
+    addressRegionInvalid: 'Pole „$0” jest nieprawidłowe.',
+  },
+};
+
+// Message overrides from form definitions, keyed by form id
+const formOverrides = new Map();
+
+/**
+ * Registers the message overrides of a form definition (`properties.messages`).
+ * Overrides are either plain messages (`{ required: '…' }`) or keyed by locale
+ * (`{ de: { required: '…' }, 'de-ch': { … } }`).
+ * @param {string} formId The form id
+ * @param {Object} messages The message overrides
+ */
+export function setFormMessages(formId, messages) {
+  if (formId && messages && typeof messages === 'object') {
+    formOverrides.set(formId, messages);
+  }
+}
+
+/**
+ * Returns the page locale tags to look messages up with, most specific first.
+ * @returns {string[]} e.g. ['de-ch', 'de']
+ */
+function getLocaleTags() {
+  const tag = (document.documentElement.lang || getCurrentLocale().hreflang).toLowerCase();
+  return [...new Set([tag, tag.split('-')[0]])];
+}
+
+/**
+ * Resolves a form message for the page locale.
+ *
+ * Lookup order: the form's overrides, the site placeholders (`form` + key, e.g. `formRequired`),
+ * the built-in messages of the locale, then English.
+ * @param {string} key The message key, e.g. `required` or `thankYou`
+ * @param {string} formId The form id, to apply the form's overrides
+ * @param {string|number} value Value replacing `$0`
+ * @returns {string} The message
+ */
+export function getFormMessage(key, formId, value) {
+  const tags = getLocaleTags();
+  const overrides = formOverrides.get(formId) || {};
+  const override = tags.map((tag) => overrides[tag]?.[key]).find(Boolean)
+    || (typeof overrides[key] === 'string' ? overrides[key] : undefined);
+  const builtIn = [...tags, 'en'].map((tag) => FORM_MESSAGES[tag]?.[key]).find(Boolean) || '';
+  const message = override
+    || t(`form${key.charAt(0).toUpperCase()}${key.slice(1)}`, builtIn);
+  return value !== undefined && value !== null ? message.replace(/\$0/, value) : message;
+}
@@ -255,32 +255,29 @@ export default class RuleEngine {
       }
     });
 
-    // this.formTag.addEventListener('item:add', (e) => {
-    //   const fieldsetName = e.detail.item.name;
-    //   let fieldset = this.formTag.elements[fieldsetName];
-    //   if (fieldset instanceof RadioNodeList) {
-    //     fieldset = fieldset.item(0);
-    //   }
-    //   this.data = {
-    //     ...this.data,
-    //     ...getFieldsetPayload(this.formTag, fieldsetName),
-    //   };
-    //   const rules = [...fieldset.elements].map((fd) => this.getRules(fd.name)).flat();
-    //   this.applyRules(rules);
-    // });
-
-    // this.formTag.addEventListener('item:remove', (e) => {
-    //   const fieldsetName = e.detail.item.name;
-    //   let fieldset = this.formTag.elements[fieldsetName];
-    //   if (fieldset instanceof RadioNodeList) {
-    //     fieldset = fieldset.item(0);
-    //   }
-    //   this.data = {
-    //     ...this.data,
-    //     ...getFieldsetPayload(this.formTag, fieldsetName),
-    //   };
-    //   const rules = [...fieldset.elements].map((fd) => this.getRules(fd.name)).flat();
-    //   this.applyRules(rules);
-    // });
+    // added, removed and moved items change the indexed values of the repeated fields
+    ['item:add', 'item:remove', 'item:move'].forEach((type) => {
+      this.formTag.addEventListener(type, (e) => {
+        const fieldsetName = e.detail.item.name;
+        let fieldset = this.formTag.elements[fieldsetName];
+        if (fieldset instanceof RadioNodeList) {
+          fieldset = fieldset.item(0);
+        }
+        let names;
+        if (fieldset) {
+          names = [...fieldset.elements].map((fd) => fd.name);
+          this.data = {
+            ...this.data,
+            ...getFieldsetPayload(this.formTag, fieldsetName),
+          };
+        } else {
+          // the last item was removed, the repeated fields left in the data have no values
+          names = Object.keys(this.data).filter((name) => Array.isArray(this.data[name])
+            && !this.formTag.elements[name]);
+          names.forEach((name) => { this.data[name] = []; });
+        }
+        this.applyRules(names.map((name) => this.getRules(name)).flat());
+      });
+    });
   }
 }
@@ -152,63 +152,26 @@ function defaultSubmitErrorHandler(defaultSubmitErrorMessage, globals) {
 /**
  * Fetches the captcha token for the form.
  *
- * This function uses the Google reCAPTCHA Enterprise/turnstile service to fetch the captcha token.
+ * This function uses the captcha provider of the form's captcha field (Google reCAPTCHA,
+ * Cloudflare Turnstile, hCaptcha or proof-of-work) to fetch the captcha token.
  *
  * @async
  * @param {object} globals - An object containing read-only form instance, read-only target field instance and methods for form modifications.
  * @returns {string} - The captcha token.
  */
 async function fetchCaptchaToken(globals) {
-  return new Promise((resolve, reject) => {
-    // successCallback and errorCallback can be reused for different captcha implementations
-    const successCallback = function (token) {
-      resolve(token);
-    };
-
-    const errorCallback = function (error) {
-      reject(error);
-    };
-
-    try {
-      const captcha = globals.form.$captcha;
-      if (captcha.$captchaProvider === 'turnstile') {
-        const turnstileContainer = document.getElementsByClassName('cmp-adaptiveform-turnstile__widget')[0];
-        const turnstileParameters = {
-          sitekey: captcha.$captchaSiteKey,
-          callback: successCallback,
-          'error-callback': errorCallback,
-        };
-        if (turnstile != undefined) {
-          const widgetId = turnstile.render(turnstileContainer, turnstileParameters);
-          if (widgetId) {
-            turnstile.execute(widgetId);
-          } else {
-            reject({ error: 'Failed to render turnstile captcha' });
-          }
-        } else {
-          reject({ error: 'Turnstile captcha not loaded' });
-        }
-      } else {
-        const siteKey = captcha?.$properties['fd:captcha']?.config?.siteKey;
-        const captchaElementName = captcha.$name.replaceAll('-', '_');
-        let captchaPath = captcha?.$properties['fd:path'];
-        const index = captchaPath.indexOf('/jcr:content');
-        let formName = '';
-        if (index > 0) {
-          captchaPath = captchaPath.substring(0, index);
-          formName = captchaPath.substring(captchaPath.lastIndexOf('/') + 1).replaceAll('-', '_');
-        }
-        const actionName = `submit_${formName}_${captchaElementName}`;
-        grecaptcha.enterprise.ready(() => {
-          grecaptcha.enterprise.execute(siteKey, { action: actionName })
-            .then((token) => resolve(token))
-            .catch((error) => reject(error));
-        });
-      }
-    } catch (error) {
-      reject(error);
-    }
-  });
+  const captcha = globals.form.$captcha;
+  // loaded on demand, this module is also used by the rule engine worker
+  const { getCaptcha } = await import('../integrations/captcha.js');
+  const instance = getCaptcha(captcha?.$id);
+  if (!instance) {
+    throw new Error('Captcha not loaded');
+  }
+  const token = await instance.getToken();
+  if (!token) {
+    throw new Error('Captcha token not available');
+  }
+  return token;
 }
 
 /**
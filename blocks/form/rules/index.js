@@ -18,7 +18,8 @@
  * Adobe permits you to use and modify this file solely in accordance with
  * the terms of the Adobe license agreement accompanying it.
  ************************************************************************ */
-import { submitSuccess, submitFailure } from '../submit.js';
+import { submitSuccess, submitFailure, submitWithAdapter } from '../submit.js';
+import { DEFAULT_SUBMIT_ADAPTER } from '../submit-adapters.js';
 import {
   createHelpText,
   createLabel,
@@ -31,6 +32,7 @@ import {
 import registerCustomFunctions from './functionRegistration.js';
 import { LOG_LEVEL } from '../constant.js';
 import { createOptimizedPicture } from '../../../scripts/aem.js';
+import { validateForm } from '../validators.js';
 
 const formSubscriptions = {};
 const formModels = {};
@@ -209,7 +211,9 @@ async function fieldChanged(payload, form, generateFormRendition) {
         }
         break;
       case 'items':
-        if (currentValue === null) {
+        if (form['#adding-item'] || form['#removing-item']) {
+          // rendered or removed by the repeat component, whose item ids don't follow moves
+        } else if (currentValue === null) {
           const removeId = prevValue.id;
           field?.querySelector(`#${removeId}`)?.remove();
         } else {
@@ -264,28 +268,122 @@ function handleRuleEngineEvent(e, form, generateFormRendition) {
   }
 }
 
+function updateModelValue(htmlForm, form, field, files) {
+  const { value, name, checked } = field;
+  const { id } = field.closest('.field-wrapper').dataset;
+  if ((field.type === 'checkbox' && field.dataset.fieldType === 'checkbox-group')) {
+    const val = getCheckboxGroupValue(name, htmlForm);
+    const el = form.getElement(id);
+    el.value = val;
+  } else if ((field.type === 'radio' && field.dataset.fieldType === 'radio-group')) {
+    const el = form.getElement(id);
+    el.value = value;
+  } else if (field.type === 'checkbox') {
+    form.getElement(id).value = checked ? value : field.dataset.uncheckedValue;
+  } else if (field.type === 'file') {
+    form.getElement(id).value = Array.from(files || field.files);
+  } else if (field['#value'] !== undefined) {
+    form.getElement(id).value = field['#value'];
+  } else {
+    form.getElement(id).value = value;
+  }
+}
+
+// names from a repeated panel instance down to one of its fields
+function getInstancePath(model, instance) {
+  const path = [];
+  let current = model;
+  while (current && current !== instance) {
+    path.unshift(current.name);
+    current = current.parent;
+  }
+  return current ? path : null;
+}
+
+/**
+ * Binds the fields of a repeated panel item to a model instance, so their changes update
+ * the instance at the item's index. Cloned items start out bound to the instance they
+ * were copied from.
+ * @param {HTMLFormElement} htmlForm The form
+ * @param {Object} form The form model
+ * @param {HTMLFieldSetElement} fieldset The item
+ * @param {Object} instance The model instance
+ * @param {boolean} copyValues Whether to write the item's values to the instance
+ */
+function bindInstance(htmlForm, form, fieldset, instance, copyValues) {
+  const bound = form.getElement(fieldset.dataset.id);
+  if (!bound || !instance) return;
+  fieldset.dataset.id = instance.id;
+  fieldset.querySelectorAll('.field-wrapper[data-id]').forEach((wrapper) => {
+    const path = getInstancePath(form.getElement(wrapper.dataset.id), bound);
+    const target = path?.reduce((el, name) => el?.items?.find((x) => x.name === name), instance);
+    if (!target) return;
+    wrapper.dataset.id = target.id;
+    if (!copyValues || wrapper.classList.contains('panel-wrapper')) return;
+    const field = wrapper.querySelector('input[type="radio"]:checked')
+      || wrapper.querySelector('input:not([type="radio"]), select, textarea');
+    if (!field || (field.value === '' && (target.value ?? null) === null)) return;
+    updateModelValue(htmlForm, form, field, field['#files']);
+  });
+}
+
+// keeps the repeated panel instances of the model in the order of the items on the page
+function syncRepeatedItems(htmlForm, form) {
+  // instance managers by panel name, also for panels whose items were all removed
+  const managers = {};
+  const getManager = (fieldset) => {
+    const manager = form.getElement(fieldset?.dataset.id)?.parent;
+    if (manager) managers[fieldset.name] = manager;
+    return managers[fieldset?.name];
+  };
+  htmlForm.querySelectorAll('[data-repeatable="true"]').forEach(getManager);
+  const getItem = ({ item }) => htmlForm.querySelector(`[id="${item.id}"]`);
+
+  htmlForm.addEventListener('item:add', ({ detail }) => {
+    const fieldset = getItem(detail);
+    const manager = getManager(fieldset);
+    if (!manager) return;
+    // the item is on the page already, don't render the instance again
+    htmlForm['#adding-item'] = true;
+    try {
+      manager.addItem({ type: 'addItem', payload: detail.item.index });
+    } finally {
+      htmlForm['#adding-item'] = false;
+    }
+    const copyValues = detail.sourceIndex !== undefined;
+    bindInstance(htmlForm, form, fieldset, manager.items[detail.item.index], copyValues);
+  });
+
+  htmlForm.addEventListener('item:remove', ({ detail }) => {
+    // the item is off the page already, don't remove the instance's element too
+    htmlForm['#removing-item'] = true;
+    try {
+      managers[detail.item.name]?.removeItem({ type: 'removeItem', payload: detail.item.index });
+    } finally {
+      htmlForm['#removing-item'] = false;
+    }
+  });
+
+  htmlForm.addEventListener('item:move', ({ detail }) => {
+    const fieldset = getItem(detail);
+    const manager = getManager(fieldset);
+    if (!manager) return;
+    const items = fieldset.parentElement.querySelectorAll(':scope > [data-repeatable="true"]');
+    const [from, to] = [detail.fromIndex, detail.toIndex].sort((x, y) => x - y);
+    for (let index = from; index <= to; index += 1) {
+      bindInstance(htmlForm, form, items[index], manager.items[index], true);
+    }
+  });
+}
+
 function applyRuleEngine(htmlForm, form, captcha) {
   htmlForm.addEventListener('change', (e) => {
-    const field = e.target;
-    const { value, name, checked } = field;
-    const { id } = field.closest('.field-wrapper').dataset;
-    if ((field.type === 'checkbox' && field.dataset.fieldType === 'checkbox-group')) {
-      const val = getCheckboxGroupValue(name, htmlForm);
-      const el = form.getElement(id);
-      el.value = val;
-    } else if ((field.type === 'radio' && field.dataset.fieldType === 'radio-group')) {
-      const el = form.getElement(id);
-      el.value = value;
-    } else if (field.type === 'checkbox') {
-      form.getElement(id).value = checked ? value : field.dataset.uncheckedValue;
-    } else if (field.type === 'file') {
-      form.getElement(id).value = Array.from(e?.detail?.files || field.files);
-    } else {
-      form.getElement(id).value = value;
-    }
+    updateModelValue(htmlForm, form, e.target, e?.detail?.files);
     // console.log(JSON.stringify(form.exportData(), null, 2));
   });
 
+  syncRepeatedItems(htmlForm, form);
+
   htmlForm.addEventListener('focusin', (e) => {
     const field = e.target;
     let { id } = field;
@@ -298,9 +396,19 @@ function applyRuleEngine(htmlForm, form, captcha) {
   htmlForm.addEventListener('click', async (e) => {
     if (e.target.tagName === 'BUTTON') {
       const element = form.getElement(e.target.id);
+      // the model doesn't know the custom validators, failing ones block the submit
+      if (e.target.type === 'submit' && !(await validateForm(htmlForm))) {
+        return;
+      }
       if (e.target.type === 'submit' && captcha) {
-        const token = await captcha.getToken();
-        form.getElement(captcha.id).value = token;
+        try {
+          const token = await captcha.getToken();
+          form.getElement(captcha.id).value = token;
+        } catch (error) {
+          // e.g. no consent to the captcha yet, or its script failed to load
+          submitFailure(error, htmlForm);
+          return;
+        }
       }
       if (element) {
         element.dispatch({ type: 'click' });
@@ -309,6 +417,33 @@ function applyRuleEngine(htmlForm, form, captcha) {
   });
 }
 
+/**
+ * Sends the submits of the form model with the submit adapter the form definition selects,
+ * like document based forms; the default adapter keeps the model's own submit. So do the
+ * model's draft saves and submits raising custom events, which the adapter doesn't know.
+ * @param {HTMLFormElement} htmlForm The form
+ * @param {Object} form The form model
+ */
+function useSubmitAdapter(htmlForm, form) {
+  const submit = form.submit.bind(form);
+  form.submit = (action, context) => {
+    const config = JSON.parse(htmlForm.dataset.submitAdapter || '{}');
+    const {
+      validate_form: validate, data, save_as: saveAs, metadata, success, error,
+    } = action?.payload || {};
+    const customEvents = [success, error]
+      .some((name) => name && !['submitSuccess', 'submitError'].includes(name));
+    const adapter = config.name && config.name !== DEFAULT_SUBMIT_ADAPTER;
+    if (!adapter || saveAs || metadata || customEvents) {
+      submit(action, context);
+      return;
+    }
+    if (validate !== false && form.validate().length) return;
+    const payload = data && typeof data === 'object' ? data : form.exportData();
+    submitWithAdapter(htmlForm, payload, { captcha: !!form.captcha });
+  };
+}
+
 export async function loadRuleEngine(formDef, htmlForm, captcha, genFormRendition, data) {
   const ruleEngine = await import('./model/afb-runtime.js');
   const form = ruleEngine.restoreFormInstance(formDef, data);
@@ -340,6 +475,7 @@ export async function loadRuleEngine(formDef, htmlForm, captcha, genFormRenditio
   form.subscribe((e) => {
     handleRuleEngineEvent(e, htmlForm);
   }, 'submitError');
+  useSubmitAdapter(htmlForm, form);
   applyRuleEngine(htmlForm, form, captcha);
 }
 
@@ -403,6 +539,15 @@ export async function initAdaptiveForm(formDef, createForm) {
   return response?.form;
 }
 
+/**
+ * Returns the form model restored by the rule engine
+ * @param {string} formId - The id of the form (data-id of the form element)
+ * @returns {Object} The form model, undefined until the rule engine is loaded
+ */
+export function getFormModel(formId) {
+  return formModels[formId];
+}
+
 /**
  * Subscribes to changes in the specified field element and triggers a callback
  * with access to formModel when the component is initialised
@@ -0,0 +1,139 @@
+import { getFormProperty } from './util.js';
+
+export const SPAM_FLAG_FIELD = '__spam__';
+export const SPAM_TOKEN_FIELD = '__token__';
+
+const DEFAULT_SPAM_CONFIG = {
+  // name of the hidden field bots fill in, false to turn it off
+  honeypot: 'website',
+  // seconds a person needs at least to fill the form, 0 to turn it off
+  minFillTime: 3,
+  // require the token set on the first keyboard, pointer or touch interaction
+  token: true,
+  // share of the entered text that was pasted, above which the submission is suspicious
+  pasteRatio: 0.9,
+  // entered characters below which pasting isn't checked
+  pasteMinLength: 40,
+  // 'flag' sends suspected spam marked in the payload, 'drop' pretends to send it
+  action: 'flag',
+};
+
+// per form: start time, token and typed and pasted characters
+const states = new WeakMap();
+
+/**
+ * Reads the spam protection settings of a form, from `properties.spamProtection`
+ * (`true`, `false`, or settings overriding the defaults, e.g. `{ minFillTime: 5,
+ * action: 'drop' }`). Document based forms can set it on the submit button
+ * (`properties.spamProtection.action`, … columns). Only document based forms are
+ * protected, adaptive forms are submitted by the form model.
+ * @param {Object} formDef The form definition
+ * @param {boolean} enabledByDefault Whether forms without settings are protected
+ * @returns {Object} The settings, null if spam protection is off
+ */
+export function getSpamConfig(formDef, enabledByDefault = false) {
+  const value = getFormProperty(formDef, 'spamProtection');
+  if (value === false || value === 'false' || (value === undefined && !enabledByDefault)) {
+    return null;
+  }
+  const config = { ...DEFAULT_SPAM_CONFIG, ...(typeof value === 'object' ? value : {}) };
+  ['minFillTime', 'pasteRatio', 'pasteMinLength'].forEach((key) => {
+    config[key] = parseFloat(config[key]) || 0;
+  });
+  config.token = ![false, 'false'].includes(config.token);
+  if ([false, 'false'].includes(config.honeypot)) config.honeypot = false;
+  return config;
+}
+
+// FNV-1a, enough to tell the token apart from a guessed value
+function hash(text) {
+  let value = 0x811c9dc5;
+  [...text].forEach((char) => {
+    // eslint-disable-next-line no-bitwise
+    value = Math.imul(value ^ char.charCodeAt(0), 0x01000193) >>> 0;
+  });
+  return value.toString(36);
+}
+
+function createHoneypot(name) {
+  const wrapper = document.createElement('div');
+  wrapper.className = 'form-hp';
+  wrapper.setAttribute('aria-hidden', 'true');
+  const label = document.createElement('label');
+  label.textContent = 'Leave this field empty';
+  const input = document.createElement('input');
+  input.type = 'text';
+  input.name = name;
+  input.tabIndex = -1;
+  input.autocomplete = 'off';
+  input.dataset.spamTrap = 'true';
+  // not a form field: keep it away from validation, rules and drafts
+  input.addEventListener('change', (e) => e.stopPropagation());
+  label.append(input);
+  wrapper.append(label);
+  return wrapper;
+}
+
+function isTextField(target) {
+  return target.matches?.('textarea, input:not([type]), input[type="text"], input[type="email"], input[type="tel"], input[type="url"]')
+    && !target.dataset.spamTrap;
+}
+
+/**
+ * Adds the invisible spam defenses to a form: the honeypot field, and tracking of the
+ * fill time, the first interaction and pasted text.
+ * @param {HTMLFormElement} form The form
+ * @param {Object} config The settings from getSpamConfig
+ */
+export function initSpamProtection(form, config) {
+  const state = {
+    config, start: Date.now(), token: null, typed: 0, pasted: 0,
+  };
+  states.set(form, state);
+  if (config.honeypot) form.append(createHoneypot(config.honeypot));
+
+  const setToken = () => {
+    if (state.token) return;
+    const time = Date.now().toString(36);
+    state.token = `${time}.${hash(`${time}:${form.dataset.action || ''}`)}`;
+  };
+  ['keydown', 'pointerdown', 'touchstart'].forEach((type) => {
+    form.addEventListener(type, setToken, { once: true, passive: true });
+  });
+
+  form.addEventListener('keydown', (e) => {
+    if (e.key?.length === 1 && !e.ctrlKey && !e.metaKey && isTextField(e.target)) {
+      state.typed += 1;
+    }
+  });
+  form.addEventListener('paste', (e) => {
+    if (isTextField(e.target)) {
+      state.pasted += e.clipboardData?.getData('text')?.length || 0;
+    }
+  });
+}
+
+/**
+ * Checks a form for signs of spam.
+ * @param {HTMLFormElement} form The form
+ * @returns {Object} `{ spam, reasons, token, config }`, reasons being any of
+ * `honeypot`, `time`, `token` and `paste`
+ */
+export function evaluateSpam(form) {
+  const state = states.get(form);
+  if (!state) return { spam: false, reasons: [] };
+  const { config } = state;
+  const reasons = [];
+  const trap = form.querySelector('[data-spam-trap]');
+  if (trap?.value) reasons.push('honeypot');
+  if (Date.now() - state.start < config.minFillTime * 1000) reasons.push('time');
+  if (config.token && !state.token) reasons.push('token');
+  const entered = state.typed + state.pasted;
+  if (config.pasteRatio && entered >= config.pasteMinLength
+    && state.pasted / entered >= config.pasteRatio) {
+    reasons.push('paste');
+  }
+  return {
+    spam: reasons.length > 0, reasons, token: state.token, config,
+  };
+}
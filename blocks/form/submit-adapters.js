@@ -0,0 +1,213 @@
+import { getSubmitBaseUrl, SUBMISSION_SERVICE } from './constant.js';
+import { getFormProperty } from './util.js';
+
+export const DEFAULT_SUBMIT_ADAPTER = 'adobe';
+const MOCK_STORAGE_KEY = 'form-mock-submissions';
+// statuses whose responses have no body
+const NULL_BODY_STATUSES = [204, 205, 304];
+
+const adapters = {};
+
+/**
+ * Registers a submit adapter. An adapter has:
+ * - `prepare({ form, payload, config })`, returning the request `{ url, method, headers, body }`
+ * - `parseResponse(response)`, resolving to `{ ok, body, error }`, where `body` may contain
+ *   `redirectUrl` and `thankYouMessage`; `response` is undefined on network errors
+ * - optionally `send(request)`, replacing the fetch of the request
+ * - optionally `queueable: true`, if its string-bodied requests can be queued while offline
+ * @param {string} name The adapter name, used by form definitions
+ * @param {Object} adapter The adapter
+ */
+export function registerSubmitAdapter(name, adapter) {
+  adapters[name] = adapter;
+}
+
+/**
+ * @param {string} name The adapter name
+ * @returns {Object} The adapter, or the default adapter for unknown names
+ */
+export function getSubmitAdapter(name) {
+  return adapters[name] || adapters[DEFAULT_SUBMIT_ADAPTER];
+}
+
+/**
+ * Reads the submit adapter settings of a form definition: `properties.submitAdapter` on the
+ * form, or on the submit button of document based forms (`properties.submitAdapter.name`,
+ * `properties.submitAdapter.url`, … columns). A plain string selects an adapter by name.
+ * @param {Object} formDef The form definition
+ * @returns {Object} The settings, with at least a `name`
+ */
+export function getSubmitAdapterConfig(formDef) {
+  const config = getFormProperty(formDef, 'submitAdapter');
+  if (!config) return { name: DEFAULT_SUBMIT_ADAPTER };
+  return typeof config === 'string' ? { name: config } : { name: DEFAULT_SUBMIT_ADAPTER, ...config };
+}
+
+function parseJSON(text) {
+  try {
+    return JSON.parse(text);
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Maps common response shapes to `{ ok, body, error }`: `redirectUrl`/`redirect` and
+ * `thankYouMessage`/`message` in a JSON body, the response text as the error otherwise.
+ * @param {Response} response The response, undefined on network errors
+ * @returns {Promise<Object>} The result
+ */
+export async function parseResponse(response) {
+  if (!response) return { ok: false, error: new Error('Network error') };
+  const text = await response.text();
+  const json = parseJSON(text) || {};
+  if (!response.ok) {
+    const message = json.message || json.error || text || response.statusText;
+    return { ok: false, error: new Error(message) };
+  }
+  return {
+    ok: true,
+    body: {
+      redirectUrl: json.redirectUrl || json.redirect,
+      thankYouMessage: json.thankYouMessage || json.message,
+    },
+  };
+}
+
+/**
+ * Fills a JSON template with payload values. A quoted token (`"{{email}}"`) is replaced with the
+ * JSON value, other tokens with the value as text; `{{$payload}}` is the whole payload.
+ * @param {string|Object} template The template
+ * @param {Object} payload The form payload
+ * @returns {string} The request body
+ */
+export function renderTemplate(template, payload) {
+  const source = typeof template === 'string' ? template : JSON.stringify(template);
+  const valueOf = (name) => (name === '$payload' ? payload : payload[name] ?? '');
+  return source
+    .replace(/"\{\{\s*([\w$.-]+)\s*\}\}"/g, (token, name) => JSON.stringify(valueOf(name)))
+    .replace(/\{\{\s*([\w$.-]+)\s*\}\}/g, (token, name) => JSON.stringify(`${valueOf(name)}`).slice(1, -1));
+}
+
+// The Adobe forms submission service, or the configured submit base URL
+registerSubmitAdapter('adobe', {
+  queueable: true,
+  prepare({ form, payload }) {
+    const headers = {
+      'Content-Type': 'application/json',
+      'x-adobe-form-hostname': window?.location?.hostname,
+    };
+    const url = getSubmitBaseUrl()
+      ? form.dataset.action
+      : `${SUBMISSION_SERVICE}${btoa(`${form.dataset.action}.json`)}`;
+    return { url, headers, body: JSON.stringify({ data: payload }) };
+  },
+  parseResponse,
+});
+
+// Generic JSON webhook: `url`, `method`, `headers` and an optional payload `template`
+registerSubmitAdapter('webhook', {
+  queueable: true,
+  prepare({ form, payload, config }) {
+    return {
+      url: config.url || form.dataset.action,
+      method: config.method || 'POST',
+      headers: { 'Content-Type': 'application/json', ...config.headers },
+      body: config.template ? renderTemplate(config.template, payload) : JSON.stringify(payload),
+    };
+  },
+  parseResponse,
+});
+
+// multipart/form-data with the attached files, to `url`
+registerSubmitAdapter('multipart', {
+  prepare({ form, payload, config }) {
+    const body = new FormData();
+    // file inputs, and fields attaching files like signatures
+    const fileInputs = [...form.querySelectorAll('input[name]')]
+      .filter((input) => input.type === 'file' || input['#files']);
+    const fileNames = fileInputs.filter((input) => input['#files']?.length).map(({ name }) => name);
+    Object.entries(payload).forEach(([name, value]) => {
+      if (value !== null && value !== undefined && !fileNames.includes(name)) {
+        body.append(name, typeof value === 'object' ? JSON.stringify(value) : value);
+      }
+    });
+    fileInputs.forEach((input) => {
+      [...(input['#files'] || input.files || [])].forEach((file) => {
+        if (file instanceof Blob) {
+          body.append(input.name, file, file.name);
+        } else if (file?.data) {
+          // uploaded as it was attached
+          body.append(input.name, file.data);
+        }
+      });
+    });
+    // the browser sets the multipart boundary
+    return {
+      url: config.url || form.dataset.action, method: 'POST', headers: config.headers || {}, body,
+    };
+  },
+  parseResponse,
+});
+
+// Email relay: posts `to`, `subject`, a reply address and the fields as text to `url`
+registerSubmitAdapter('email', {
+  queueable: true,
+  prepare({ payload, config }) {
+    const fields = Object.fromEntries(Object.entries(payload)
+      .filter(([name, value]) => !name.startsWith('__') && value !== null && value !== ''));
+    return {
+      url: config.url,
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...config.headers },
+      body: JSON.stringify({
+        to: config.to,
+        subject: config.subject || document.title,
+        replyTo: payload[config.replyToField || 'email'],
+        fields,
+        text: Object.entries(fields)
+          .map(([name, value]) => `${name}: ${typeof value === 'object' ? JSON.stringify(value) : value}`)
+          .join('\n'),
+      }),
+    };
+  },
+  parseResponse,
+});
+
+/**
+ * Returns the submissions recorded by the mock adapter in this session.
+ * @returns {Array} The recorded requests
+ */
+export function getMockSubmissions() {
+  try {
+    return JSON.parse(sessionStorage.getItem(MOCK_STORAGE_KEY)) || [];
+  } catch (e) {
+    return [];
+  }
+}
+
+// Records submissions in session storage instead of sending them; `status` and
+// `response` in the settings shape the simulated response
+registerSubmitAdapter('mock', {
+  prepare({ form, payload, config }) {
+    return {
+      url: form.dataset.action, method: 'POST', body: JSON.stringify(payload), config,
+    };
+  },
+  async send({ url, body, config }) {
+    const submissions = getMockSubmissions();
+    submissions.push({ url, payload: JSON.parse(body), time: new Date().toISOString() });
+    try {
+      sessionStorage.setItem(MOCK_STORAGE_KEY, JSON.stringify(submissions));
+    } catch (e) {
+      // storage unavailable
+    }
+    // eslint-disable-next-line no-console
+    console.info('Mock form submission', url, JSON.parse(body));
+    // Response only accepts 200-599
+    const status = Math.min(Math.max(Math.round(+config.status) || 200, 200), 599);
+    const json = NULL_BODY_STATUSES.includes(status) ? null : JSON.stringify(config.response || {});
+    return new Response(json, { status });
+  },
+  parseResponse,
+});
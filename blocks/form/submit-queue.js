@@ -0,0 +1,170 @@
+const DB_NAME = 'form-submissions';
+const STORE_NAME = 'queue';
+const BASE_RETRY_MS = 5000;
+const MAX_RETRY_MS = 10 * 60 * 1000;
+// submissions still failing after this many attempts, or this long, are given up
+const MAX_ATTEMPTS = 20;
+const MAX_AGE_MS = 3 * 24 * 60 * 60 * 1000;
+
+export const QUEUE_SENT_EVENT = 'form:submission-sent';
+export const QUEUE_FAILED_EVENT = 'form:submission-failed';
+
+let dbPromise;
+let retryTimer;
+let retryAt = Infinity;
+let flushing = false;
+let flushAgain = false;
+let initialized = false;
+
+function openDatabase() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, 1);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(STORE_NAME, { keyPath: 'id' });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+  return dbPromise;
+}
+
+/**
+ * Runs a request against the queue store.
+ * @param {string} mode 'readonly' or 'readwrite'
+ * @param {Function} operation Creates the request from the store
+ * @returns {Promise} The request result
+ */
+async function withStore(mode, operation) {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const request = operation(db.transaction(STORE_NAME, mode).objectStore(STORE_NAME));
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Checks whether a failed submission is worth retrying: network errors and server errors.
+ * @param {Response} response The response, undefined on network errors
+ * @returns {boolean} True if the submission should be queued
+ */
+export function isRetryable(response) {
+  return !response || response.status >= 500;
+}
+
+function getRetryDelay(attempts) {
+  return Math.min(BASE_RETRY_MS * 2 ** attempts, MAX_RETRY_MS);
+}
+
+function cancelFlush() {
+  window.clearTimeout(retryTimer);
+  retryAt = Infinity;
+}
+
+// keeps the earliest scheduled attempt
+function scheduleFlush(delay) {
+  const at = Date.now() + delay;
+  if (retryAt <= at) return;
+  cancelFlush();
+  retryAt = at;
+  retryTimer = window.setTimeout(() => {
+    retryAt = Infinity;
+    // eslint-disable-next-line no-use-before-define
+    flushQueue();
+  }, delay);
+}
+
+/**
+ * Sends the queued submissions that are due. Sent and rejected (4xx) submissions are removed
+ * and announced with QUEUE_SENT_EVENT or QUEUE_FAILED_EVENT on window; the others are retried
+ * with exponential backoff, until they reach MAX_ATTEMPTS or MAX_AGE_MS and fail.
+ * @param {boolean} force Send all submissions, also those waiting for their next attempt
+ */
+export async function flushQueue(force = false) {
+  if (!navigator.onLine) return;
+  if (flushing) {
+    flushAgain = true;
+    return;
+  }
+  flushing = true;
+  try {
+    const items = await withStore('readonly', (store) => store.getAll());
+    let nextAttempt = Infinity;
+    // send one at a time, in the order they were queued
+    // eslint-disable-next-line no-restricted-syntax
+    for (const item of items) {
+      if (!force && item.nextAttempt > Date.now()) {
+        nextAttempt = Math.min(nextAttempt, item.nextAttempt);
+        // eslint-disable-next-line no-continue
+        continue;
+      }
+      let response;
+      try {
+        // eslint-disable-next-line no-await-in-loop
+        response = await fetch(item.url, {
+          method: item.method || 'POST', headers: item.headers, body: item.body,
+        });
+      } catch (e) {
+        // still offline
+      }
+      const attempts = item.attempts + 1;
+      const expired = attempts >= MAX_ATTEMPTS || Date.now() - item.queued >= MAX_AGE_MS;
+      if (isRetryable(response) && !expired) {
+        const retry = { ...item, attempts, nextAttempt: Date.now() + getRetryDelay(attempts) };
+        // eslint-disable-next-line no-await-in-loop
+        await withStore('readwrite', (store) => store.put(retry));
+        nextAttempt = Math.min(nextAttempt, retry.nextAttempt);
+      } else {
+        // eslint-disable-next-line no-await-in-loop
+        await withStore('readwrite', (store) => store.delete(item.id));
+        const type = response?.ok ? QUEUE_SENT_EVENT : QUEUE_FAILED_EVENT;
+        window.dispatchEvent(new CustomEvent(type, { detail: { id: item.id, response } }));
+      }
+    }
+    if (nextAttempt !== Infinity) scheduleFlush(nextAttempt - Date.now());
+  } catch (e) {
+    // eslint-disable-next-line no-console
+    console.warn('Failed to send queued form submissions', e);
+  } finally {
+    flushing = false;
+    if (flushAgain) {
+      flushAgain = false;
+      flushQueue(force);
+    }
+  }
+}
+
+/**
+ * Stores a submission to send later. The submission's `__id__` is the queue key, so a
+ * submission is queued and sent at most once, and the receiver can use it to drop duplicates.
+ * @param {Object} submission
+ * @param {string} submission.id The `__id__` of the payload
+ * @param {string} submission.url The submit URL
+ * @param {string} submission.method The request method, POST by default
+ * @param {Object} submission.headers The request headers
+ * @param {string} submission.body The serialized request body
+ */
+export async function enqueueSubmission({
+  id, url, method, headers, body,
+}) {
+  const queued = Date.now();
+  await withStore('readwrite', (store) => store.put({
+    id, url, method, headers, body, queued, attempts: 0, nextAttempt: queued + BASE_RETRY_MS,
+  }));
+  scheduleFlush(BASE_RETRY_MS);
+}
+
+/**
+ * Sends submissions left over from earlier visits and retries when the browser is back online.
+ */
+export function initSubmitQueue() {
+  if (typeof indexedDB === 'undefined' || initialized) return;
+  initialized = true;
+  window.addEventListener('online', () => {
+    cancelFlush();
+    flushQueue(true);
+  });
+  flushQueue();
+}
@@ -1,9 +1,22 @@
-import { DEFAULT_THANK_YOU_MESSAGE, getSubmitBaseUrl } from './constant.js';
+import { clearDraft } from './drafts.js';
+import { showErrorSummary } from './error-summary.js';
+import { getFormMessage } from './messages.js';
+import { evaluateSpam, SPAM_FLAG_FIELD, SPAM_TOKEN_FIELD } from './spam-protection.js';
+import { getSubmitAdapter } from './submit-adapters.js';
+import {
+  QUEUE_FAILED_EVENT,
+  QUEUE_SENT_EVENT,
+  enqueueSubmission,
+  isRetryable,
+} from './submit-queue.js';
+import { extractIdFromUrl } from './util.js';
+import { validateForm } from './validators.js';
 
 export function submitSuccess(e, form) {
   const { payload } = e;
   const redirectUrl = form.dataset.redirectUrl || payload?.body?.redirectUrl;
   const thankYouMsg = form.dataset.thankYouMsg || payload?.body?.thankYouMessage;
+  clearDraft(form);
   if (redirectUrl) {
     window.location.assign(encodeURI(redirectUrl));
   } else {
@@ -12,7 +25,8 @@ export function submitSuccess(e, form) {
       thankYouMessage = document.createElement('div');
       thankYouMessage.className = 'form-message success-message';
     }
-    thankYouMessage.innerHTML = thankYouMsg || DEFAULT_THANK_YOU_MESSAGE;
+    thankYouMessage.innerHTML = thankYouMsg
+      || getFormMessage('thankYou', extractIdFromUrl(form.dataset.action));
     form.parentNode.insertBefore(thankYouMessage, form);
     if (thankYouMessage.scrollIntoView) {
       thankYouMessage.scrollIntoView({ behavior: 'smooth' });
@@ -29,19 +43,56 @@ export function submitFailure(e, form) {
     errorMessage = document.createElement('div');
     errorMessage.className = 'form-message error-message';
   }
-  errorMessage.innerHTML = 'Some error occured while submitting the form'; // TODO: translation
+  // errors may name a more specific message, e.g. a missing captcha consent
+  const key = e?.messageKey || 'submitError';
+  errorMessage.textContent = getFormMessage(key, extractIdFromUrl(form.dataset.action));
   form.prepend(errorMessage);
   errorMessage.scrollIntoView({ behavior: 'smooth' });
   form.setAttribute('data-submitting', 'false');
   form.querySelector('button[type="submit"]').disabled = false;
 }
 
+/**
+ * Shows that a submission is queued and resets the form for the next entry.
+ * The message is removed once the queued submission is sent.
+ * @param {HTMLFormElement} form The form
+ * @param {string} id The `__id__` of the queued submission
+ */
+export function submitQueued(form, id) {
+  let queuedMessage = form.parentNode.querySelector('.form-message.queued-message');
+  if (!queuedMessage) {
+    queuedMessage = document.createElement('div');
+    queuedMessage.className = 'form-message queued-message';
+    queuedMessage.setAttribute('role', 'status');
+  }
+  queuedMessage.textContent = getFormMessage('submitQueued', extractIdFromUrl(form.dataset.action));
+  queuedMessage.dataset.queueId = id;
+  form.parentNode.insertBefore(queuedMessage, form);
+
+  const onSent = ({ detail }) => {
+    if (detail.id !== id) return;
+    window.removeEventListener(QUEUE_SENT_EVENT, onSent);
+    window.removeEventListener(QUEUE_FAILED_EVENT, onSent);
+    if (queuedMessage.dataset.queueId === `${id}`) queuedMessage.remove();
+  };
+  window.addEventListener(QUEUE_SENT_EVENT, onSent);
+  window.addEventListener(QUEUE_FAILED_EVENT, onSent);
+
+  clearDraft(form);
+  form.reset();
+  form.setAttribute('data-submitting', 'false');
+  form.querySelector('button[type="submit"]').disabled = false;
+}
+
 function generateUnique() {
   return new Date().valueOf() + Math.random();
 }
 
 function getFieldValue(fe, payload) {
-  if (fe.type === 'radio') {
+  if (fe['#value'] !== undefined) {
+    // structured values of composite fields, like addresses
+    return fe['#value'];
+  } if (fe.type === 'radio') {
     return fe.form.elements[fe.name].value;
   } if (fe.type === 'checkbox') {
     if (payload[fe.name]) {
@@ -54,6 +105,9 @@ function getFieldValue(fe, payload) {
     }
   } else if (fe.type !== 'file') {
     return fe.value;
+  } else if (fe['#files']?.some((file) => file.data)) {
+    // URLs of the files uploaded as they were attached
+    return fe['#files'].map((file) => file.data).filter(Boolean).join(',');
   }
   return null;
 }
@@ -61,7 +115,7 @@ function getFieldValue(fe, payload) {
 function constructPayload(form) {
   const payload = { __id__: generateUnique() };
   [...form.elements].forEach((fe) => {
-    if (fe.name && !fe.matches('button') && !fe.disabled && fe.tagName !== 'FIELDSET') {
+    if (fe.name && !fe.matches('button, [data-spam-trap]') && !fe.disabled && fe.tagName !== 'FIELDSET') {
       const value = getFieldValue(fe, payload);
       if (fe.closest('.repeat-wrapper')) {
         payload[fe.name] = payload[fe.name] ? `${payload[fe.name]},${fe.value}` : value;
@@ -73,52 +127,90 @@ function constructPayload(form) {
   return { payload };
 }
 
-async function prepareRequest(form) {
-  const { payload } = constructPayload(form);
-  const headers = {
-    'Content-Type': 'application/json',
-    // eslint-disable-next-line comma-dangle
-    'x-adobe-form-hostname': window?.location?.hostname
-  };
-  const body = { data: payload };
-  let url;
-  let baseUrl = getSubmitBaseUrl();
-  if (!baseUrl) {
-    // eslint-disable-next-line prefer-template
-    baseUrl = 'https://forms.adobe.com/adobe/forms/af/submit/';
-    url = baseUrl + btoa(`${form.dataset.action}.json`);
-  } else {
-    url = form.dataset.action;
+/**
+ * Sends a request prepared by a submit adapter, with the adapter's own `send` if it has one.
+ * @param {Object} adapter The submit adapter
+ * @param {Object} request The prepared request
+ * @returns {Promise<Response>} The response, undefined on network errors or while offline
+ */
+async function sendRequest(adapter, request) {
+  if (adapter.send) return adapter.send(request);
+  if (!navigator.onLine) return undefined;
+  try {
+    return await fetch(request.url, {
+      method: request.method || 'POST',
+      headers: request.headers,
+      body: request.body,
+    });
+  } catch (e) {
+    // network error
+    return undefined;
   }
-  return { headers, body, url };
 }
 
-async function submitDocBasedForm(form, captcha) {
+/**
+ * Sends a form's payload with the submit adapter its definition selects, queueing it when
+ * offline if the adapter allows, and shows the outcome.
+ * @param {HTMLFormElement} form The form
+ * @param {Object} data The form data
+ * @param {Object} options
+ * @param {boolean} options.captcha Whether the payload carries a captcha token
+ */
+export async function submitWithAdapter(form, data, { captcha = false } = {}) {
   try {
-    const { headers, body, url } = await prepareRequest(form, captcha);
-    let token = null;
-    if (captcha) {
-      token = await captcha.getToken();
-      body.data['g-recaptcha-response'] = token;
+    const payload = { __id__: generateUnique(), ...data };
+    const config = JSON.parse(form.dataset.submitAdapter || '{}');
+    const adapter = getSubmitAdapter(config.name);
+    const request = await adapter.prepare({ form, payload, config });
+    const response = await sendRequest(adapter, request);
+    // offline or failing servers queue the submission, keyed by its __id__; captcha tokens
+    // expire and are single use, so submissions carrying one can't be sent later
+    if (adapter.queueable && !captcha && typeof request.body === 'string' && isRetryable(response)) {
+      // eslint-disable-next-line no-underscore-dangle
+      const submission = { ...request, id: payload.__id__ };
+      await enqueueSubmission(submission);
+      submitQueued(form, submission.id);
+      return;
     }
-    const response = await fetch(url, {
-      method: 'POST',
-      headers,
-      body: JSON.stringify(body),
-    });
-    if (response.ok) {
-      submitSuccess(response, form);
+    const result = await adapter.parseResponse(response);
+    if (result.ok) {
+      submitSuccess({ payload: { body: result.body } }, form);
     } else {
-      const error = await response.text();
-      throw new Error(error);
+      throw result.error;
     }
   } catch (error) {
     submitFailure(error, form);
   }
 }
 
+async function submitDocBasedForm(form, captcha) {
+  try {
+    const { payload } = constructPayload(form);
+    const {
+      spam, reasons, token, config: spamConfig,
+    } = evaluateSpam(form);
+    if (token) payload[SPAM_TOKEN_FIELD] = token;
+    if (spam) {
+      // suspected spam is dropped as if it was sent, or sent flagged
+      if (spamConfig.action === 'drop') {
+        submitSuccess({}, form);
+        return;
+      }
+      payload[SPAM_FLAG_FIELD] = reasons.join(',');
+    }
+    if (captcha) {
+      payload[captcha.responseField] = await captcha.getToken();
+    }
+    await submitWithAdapter(form, payload, { captcha: !!captcha });
+  } catch (error) {
+    submitFailure(error, form);
+  }
+}
+
 export async function handleSubmit(e, form, captcha) {
   e.preventDefault();
+  // custom validators, including pending async ones, mark their fields invalid
+  await validateForm(form);
   const valid = form.checkValidity();
   if (valid) {
     e.submitter?.setAttribute('disabled', '');
@@ -132,7 +224,7 @@ export async function handleSubmit(e, form, captcha) {
         await submitDocBasedForm(form, captcha);
       }
     }
-  } else {
+  } else if (!showErrorSummary(form)) {
     const firstInvalidEl = form.querySelector(':invalid:not(fieldset)');
     if (firstInvalidEl) {
       firstInvalidEl.focus();
@@ -181,6 +181,9 @@ export default class DocBasedFormToAF {
     ['plain-text', 'plain-text'],
     ['plaintext', 'plain-text'],
     ['checkbox', 'checkbox'],
+    ['signature', 'text-input'],
+    ['phone', 'text-input'],
+    ['address', 'text-input'],
     ['textarea', 'multiline-input'],
     ['text-area', 'multiline-input'],
     ['fieldset', 'panel'],
@@ -103,6 +103,13 @@ export function createFieldWrapper(fd, tagName = 'div', labelFn = createLabel) {
   if (fd?.fieldType === 'number-input' && fd?.type) {
     fieldWrapper.dataset.type = fd.type;
   }
+  if ([true, 'true'].includes(fd?.properties?.sensitive)) {
+    fieldWrapper.dataset.sensitive = 'true';
+  }
+  if (fd?.properties?.validators) {
+    const { validators } = fd.properties;
+    fieldWrapper.dataset.validators = typeof validators === 'string' ? validators : JSON.stringify(validators);
+  }
   fieldWrapper.classList.add('field-wrapper');
   if (fd.label && fd.label.value && typeof labelFn === 'function') {
     const label = labelFn(fd);
@@ -187,6 +194,21 @@ function removeInvalidMsg(fieldElement) {
   return updateOrCreateInvalidMsg(fieldElement, '');
 }
 
+export function extractIdFromUrl(url) {
+  const segments = url?.split('/');
+  return segments?.[segments.length - 1];
+}
+
+// Resolves default validation messages. form.js installs the localized resolver from
+// messages.js; util.js is also loaded by the rule engine worker, so it can't import it.
+let resolveFormMessage = (key, formId, value) => (
+  value !== undefined ? defaultErrorMessages[key]?.replace(/\$0/, value) : defaultErrorMessages[key]
+);
+
+export function setFormMessageResolver(resolver) {
+  resolveFormMessage = resolver;
+}
+
 export const validityKeyMsgMap = {
   patternMismatch: { key: 'pattern', attribute: 'type' },
   rangeOverflow: { key: 'maximum', attribute: 'max' },
@@ -222,7 +244,10 @@ function getValidationMessage(fieldElement, wrapper) {
   const [invalidProperty] = Object.keys(validityKeyMsgMap)
     .filter((state) => fieldElement.validity[state]);
   const { key, attribute } = validityKeyMsgMap[invalidProperty] || {};
-  const message = wrapper.dataset[`${key}ErrorMessage`] || (attribute ? defaultErrorMessages[key].replace(/\$0/, fieldElement.getAttribute(attribute)) : defaultErrorMessages[key]);
+  const formId = extractIdFromUrl(fieldElement.form?.dataset?.action);
+  const value = attribute ? fieldElement.getAttribute(attribute) : undefined;
+  const message = wrapper.dataset[`${key}ErrorMessage`]
+    || (key && resolveFormMessage(key, formId, value));
   return message || fieldElement.validationMessage;
 }
 
@@ -253,10 +278,20 @@ export function getSitePageName(path) {
   return pathArray[pathArray.length - 1].replaceAll('-', '_');
 }
 
-export function extractIdFromUrl(url) {
-  const segments = url?.split('/');
-  return segments?.[segments.length - 1];
+/**
+ * Reads a form setting from the form's properties or, for document based forms, from the
+ * properties of a field (e.g. `properties.submitAdapter` columns on the submit button).
+ * @param {Object} formDef The form definition
+ * @param {string} name The property name
+ * @returns {*} The setting, undefined if it isn't set
+ */
+export function getFormProperty(formDef, name) {
+  const findInItems = (items = []) => items
+    .map((item) => item?.properties?.[name] ?? findInItems(item?.items))
+    .find((value) => value !== undefined);
+  return formDef?.properties?.[name] ?? findInItems(formDef?.items);
 }
+
 const constraintsDef = Object.entries({
   'password|tel|email|text': [['maxLength', 'maxlength'], ['minLength', 'minlength'], 'pattern'],
   'number|range|date': [['maximum', 'Max'], ['minimum', 'Min'], 'step'],
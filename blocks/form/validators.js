@@ -0,0 +1,291 @@
+import { getFormMessage } from './messages.js';
+import { checkValidation, extractIdFromUrl } from './util.js';
+
+const ASYNC_DELAY_MS = 400;
+
+const validators = {};
+
+// pending async checks per field element: { timer, controller, promise }
+const pending = new WeakMap();
+const remoteCache = new Map();
+
+/**
+ * Registers a validator that fields reference by name in `properties.validators`.
+ *
+ * A validator is `(value, context) => result`, where the result is `true` when valid or the
+ * message key (or message) when invalid, or a promise of it for async validators. The context
+ * has the field element, the form, the validator `params` and a `getValue(name)` reading other
+ * fields of the same repeated panel or form. Async validators are registered with
+ * `{ async: true }` and get an AbortSignal as `context.signal`.
+ * @param {string} name The validator name
+ * @param {Function} validator The validator
+ * @param {Object} options
+ * @param {boolean} options.async Whether the validator is debounced and awaited on submit
+ */
+export function registerValidator(name, validator, { async = false } = {}) {
+  validators[name] = { validate: validator, async };
+}
+
+/**
+ * Parses the validators of a field: an array of `{ name, message, ...params }`, its JSON,
+ * or the short form of document based forms, `equals:email; atLeastOne:phone,email`.
+ * Short form arguments are passed as `params.args`.
+ * @param {string|Array} spec The validators
+ * @returns {Array} `{ name, message, params }` of each validator
+ */
+export function parseValidators(spec) {
+  if (!spec) return [];
+  let list = spec;
+  if (typeof spec === 'string') {
+    try {
+      list = JSON.parse(spec);
+    } catch (e) {
+      list = spec.split(';').map((entry) => entry.trim()).filter(Boolean).map((entry) => {
+        const [name, args = ''] = entry.split(/:(.*)/s);
+        return { name: name.trim(), args: args.split(',').map((arg) => arg.trim()).filter(Boolean) };
+      });
+    }
+  }
+  return (Array.isArray(list) ? list : [list]).map(({ name, message, ...params }) => ({
+    name, message, params,
+  }));
+}
+
+function getFieldValidators(fe) {
+  const wrapper = fe.closest('.field-wrapper');
+  if (!wrapper?.dataset.validators) return [];
+  if (!wrapper['#validators']) wrapper['#validators'] = parseValidators(wrapper.dataset.validators);
+  return wrapper['#validators'];
+}
+
+// reads a field, preferring the one in the same repeated panel
+function createValueReader(fe) {
+  return (name) => {
+    const scope = fe.closest('[data-repeatable="true"]') || fe.form;
+    const other = scope?.querySelector(`[name="${name}"]`) || fe.form?.querySelector(`[name="${name}"]`);
+    if (!other) return undefined;
+    if (other.type === 'radio') return fe.form.querySelector(`[name="${name}"]:checked`)?.value || '';
+    if (other.type === 'checkbox') return other.checked ? other.value : '';
+    return other.value;
+  };
+}
+
+function isEmpty(value) {
+  return value === undefined || value === null || `${value}`.trim() === '';
+}
+
+function toComparable(value) {
+  return Number.isNaN(+value) ? new Date(value).getTime() : +value;
+}
+
+function resolveMessage(result, { message, name }, fe, value) {
+  const formId = extractIdFromUrl(fe.form?.dataset?.action);
+  if (message) return message;
+  const key = typeof result === 'string' ? result : `validator${name.charAt(0).toUpperCase()}${name.slice(1)}`;
+  return getFormMessage(key, formId, value) || key;
+}
+
+/**
+ * Sets or clears the validators' message of a field. The field's own component and the rules
+ * set custom validity too, so only a message the validators set is cleared or replaced, and
+ * the validators' message waits while another one is shown.
+ * @param {HTMLElement} fe The field element
+ * @param {string} message The message, empty if valid
+ * @param {boolean} show Whether to show the message, not while typing
+ */
+function setFieldError(fe, message, show = true) {
+  const own = fe['#validator-error'];
+  fe['#validator-error'] = message || '';
+  const foreign = fe.validity.customError && fe.validationMessage !== own;
+  if (!foreign && (message || own)) fe.setCustomValidity(message || '');
+  if (show) checkValidation(fe);
+}
+
+// `equals:email`, the value must match another field
+registerValidator('equals', (value, { params, getValue }) => {
+  const other = params.field ?? params.args?.[0];
+  return isEmpty(value) || value === getValue(other) || 'validatorEquals';
+});
+
+// `after:start-date`, a date or number after another field's; `orEqual` allows the same value
+registerValidator('after', (value, { params, getValue }) => {
+  const other = getValue(params.field ?? params.args?.[0]);
+  if (isEmpty(value) || isEmpty(other)) return true;
+  const orEqual = [true, 'true'].includes(params.orEqual ?? params.args?.[1]);
+  const [a, b] = [toComparable(value), toComparable(other)];
+  return a > b || (orEqual && a === b) || 'validatorAfter';
+});
+
+// `atLeastOne:phone,email`, this field or one of the others must be filled
+registerValidator('atLeastOne', (value, { params, getValue }) => {
+  const others = params.fields ?? params.args ?? [];
+  return !isEmpty(value) || others.some((name) => !isEmpty(getValue(name))) || 'validatorAtLeastOne';
+});
+
+// `remote:/api/vouchers/check`, the endpoint answers `{ valid, message }` for `?value=`;
+// `param` renames the query parameter, and errors let the value pass unless `failClosed`
+registerValidator('remote', async (value, { params, signal }) => {
+  if (isEmpty(value)) return true;
+  const url = new URL(params.url ?? params.args?.[0], window.location.href);
+  url.searchParams.set(params.param || 'value', value);
+  if (remoteCache.has(url.href)) return remoteCache.get(url.href);
+  try {
+    const response = await fetch(url, { signal, headers: { Accept: 'application/json' } });
+    if (!response.ok) throw new Error(`Validation failed with status ${response.status}`);
+    const { valid, message } = await response.json();
+    const result = valid ? true : (message || 'validatorRemote');
+    remoteCache.set(url.href, result);
+    return result;
+  } catch (e) {
+    if (e.name === 'AbortError') throw e;
+    return ![true, 'true'].includes(params.failClosed) || 'validatorRemote';
+  }
+}, { async: true });
+
+function setPending(fe, isPending) {
+  const wrapper = fe.closest('.field-wrapper');
+  wrapper?.classList.toggle('field-pending', isPending);
+  if (isPending) {
+    fe.setAttribute('aria-busy', 'true');
+  } else {
+    fe.removeAttribute('aria-busy');
+  }
+}
+
+// labels of the fields a validator refers to, for `$0` in its message
+function getReferencedLabels(fe, { params }) {
+  return [params.field, ...(params.fields || []), ...(params.args || [])]
+    .filter((name) => name && fe.form?.querySelector(`[name="${name}"]`))
+    .map((name) => {
+      const wrapper = fe.form.querySelector(`[name="${name}"]`).closest('.field-wrapper');
+      return wrapper?.querySelector(':scope > label, :scope > legend')?.textContent?.trim() || name;
+    })
+    .join(', ');
+}
+
+/**
+ * Runs the validators of a field. Synchronous validators run at once; async validators
+ * are debounced, and the field is invalid while they are pending.
+ * @param {HTMLElement} fe The field element
+ * @param {Object} options
+ * @param {boolean} options.immediate Run async validators without waiting, e.g. on submit
+ * @param {boolean} options.typing Don't show messages yet, the value is being typed
+ * @returns {Promise<boolean>} Resolves once all validators ran, to the field's validity
+ */
+export function validateField(fe, { immediate = false, typing = false } = {}) {
+  const list = getFieldValidators(fe);
+  if (!list.length) return Promise.resolve(true);
+  const value = fe.value ?? '';
+  const context = { field: fe, form: fe.form, getValue: createValueReader(fe) };
+  const showError = (message) => setFieldError(fe, message, !typing);
+
+  const previous = pending.get(fe);
+  window.clearTimeout(previous?.timer);
+  previous?.controller.abort();
+  previous?.resolve(false);
+  pending.delete(fe);
+  setPending(fe, false);
+
+  const syncList = list.filter(({ name }) => !validators[name]?.async);
+  // eslint-disable-next-line no-restricted-syntax
+  for (const spec of syncList) {
+    const validator = validators[spec.name];
+    if (!validator) {
+      // eslint-disable-next-line no-console
+      console.warn(`Unknown validator ${spec.name}`);
+    } else {
+      const result = validator.validate(value, { ...context, params: spec.params });
+      if (result !== true) {
+        showError(resolveMessage(result, spec, fe, getReferencedLabels(fe, spec)));
+        return Promise.resolve(false);
+      }
+    }
+  }
+  const asyncList = list.filter(({ name }) => validators[name]?.async);
+  if (!asyncList.length) {
+    showError('');
+    return Promise.resolve(true);
+  }
+
+  // invalid until the checks are done, without showing a message yet
+  setFieldError(fe, getFormMessage('validatorPending', extractIdFromUrl(fe.form?.dataset?.action)), false);
+  setPending(fe, true);
+  const entry = { controller: new AbortController() };
+  entry.promise = new Promise((resolve) => {
+    entry.resolve = resolve;
+    const run = async () => {
+      let valid = true;
+      try {
+        // eslint-disable-next-line no-restricted-syntax
+        for (const spec of asyncList) {
+          // eslint-disable-next-line no-await-in-loop
+          const result = await validators[spec.name].validate(value, {
+            ...context, params: spec.params, signal: entry.controller.signal,
+          });
+          if (entry.controller.signal.aborted) return;
+          if (result !== true) {
+            setFieldError(fe, resolveMessage(result, spec, fe));
+            valid = false;
+            break;
+          }
+        }
+        if (valid) setFieldError(fe, '');
+      } catch (e) {
+        // superseded by a newer value
+        valid = false;
+      }
+      if (pending.get(fe) === entry) {
+        pending.delete(fe);
+        setPending(fe, false);
+      }
+      resolve(valid);
+    };
+    entry.timer = window.setTimeout(run, immediate ? 0 : ASYNC_DELAY_MS);
+  });
+  pending.set(fe, entry);
+  return entry.promise;
+}
+
+function getValidatedFields(form) {
+  return [...form.querySelectorAll('.field-wrapper[data-validators]')]
+    .filter((wrapper) => !wrapper.closest('[data-visible="false"]'))
+    .map((wrapper) => wrapper.querySelector('input:not([type="hidden"]), select, textarea'))
+    .filter(Boolean);
+}
+
+/**
+ * Runs all validators of a form, without debouncing, e.g. before submitting.
+ * @param {HTMLFormElement} form The form
+ * @returns {Promise<boolean>} True if all fields pass their validators
+ */
+export async function validateForm(form) {
+  const fields = getValidatedFields(form);
+  const results = await Promise.all(fields.map((fe) => validateField(fe, { immediate: true })));
+  return results.every(Boolean);
+}
+
+/**
+ * Runs field validators as the form is filled: a field's own validators when it changes,
+ * and the validators of filled or invalid fields referring to it.
+ * @param {HTMLFormElement} form The form
+ */
+export function initValidators(form) {
+  const onChange = (e) => {
+    const fe = e.target;
+    if (!fe?.name) return;
+    if (getFieldValidators(fe).length) validateField(fe);
+    getValidatedFields(form)
+      .filter((other) => other !== fe && (!isEmpty(other.value) || !other.validity.valid))
+      .filter((other) => getFieldValidators(other).some(({ params }) => [
+        params.field, ...(params.fields || []), ...(params.args || []),
+      ].includes(fe.name)))
+      .forEach((other) => validateField(other));
+  };
+  form.addEventListener('change', onChange);
+  // async checks start while typing
+  form.addEventListener('input', (e) => {
+    if (getFieldValidators(e.target).some(({ name }) => validators[name]?.async)) {
+      validateField(e.target, { typing: true });
+    }
+  });
+}
@@ -9,9 +9,13 @@ import {
 } from '../../scripts/scripts.js';
 
 import {
+  getMetadata,
   loadSections,
 } from '../../scripts/aem.js';
 
+import { getLocaleFallbacks, loadSiteConfig } from '../../scripts/language-config.js';
+import { parseLocale, buildLocalePrefix } from '../../scripts/language-mapping.js';
+
 /**
  * Loads a fragment.
  * @param {string} path The path to the fragment
@@ -43,6 +47,36 @@ export async function loadFragment(path) {
   return null;
 }
 
+/**
+ * Loads a locale-specific fragment such as the nav or footer.
+ * A page metadata override wins; otherwise `/<locale-prefix>/<name>` is tried for the
+ * current locale and its fallback chain, then the site-wide `/<name>`.
+ * @param {string} name The fragment name and metadata key (e.g. 'nav', 'footer')
+ * @returns {HTMLElement} The root element of the fragment
+ */
+export async function loadLocaleFragment(name) {
+  const meta = getMetadata(name);
+  if (meta) {
+    return loadFragment(new URL(meta, window.location).pathname);
+  }
+
+  await loadSiteConfig();
+  const { lang, country, isValid } = parseLocale(window.location.pathname);
+  const locales = isValid ? [{ lang, country }, ...getLocaleFallbacks(lang, country)] : [];
+  const paths = [
+    ...locales.map((locale) => `${buildLocalePrefix(locale.lang, locale.country)}/${name}`),
+    `/${name}`,
+  ];
+
+  // eslint-disable-next-line no-restricted-syntax
+  for (const path of paths) {
+    // eslint-disable-next-line no-await-in-loop
+    const fragment = await loadFragment(path);
+    if (fragment) return fragment;
+  }
+  return null;
+}
+
 export default async function decorate(block) {
   const link = block.querySelector('a');
   const path = link ? link.getAttribute('href') : block.textContent.trim();
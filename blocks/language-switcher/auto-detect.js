@@ -0,0 +1,160 @@
+import { getAllLocales } from '../../scripts/language-config.js';
+import {
+  parseLocale,
+  localeToKey,
+  mapUrlToLanguage,
+  getLocaleUrl,
+} from '../../scripts/language-mapping.js';
+
+// localStorage key holding the visitor's locale choice (a locale key or 'dismissed')
+export const PREFERENCE_STORAGE_KEY = 'language-switcher-preference';
+
+// Regional variants without a site of their own, mapped to the closest locales
+const DEFAULT_FALLBACKS = {
+  'de-at': ['de-ch', 'de-de'],
+  'de-li': ['de-ch', 'de-de'],
+  'de-lu': ['de-de', 'de-ch'],
+  'fr-be': ['fr-fr', 'fr-ch'],
+  'fr-lu': ['fr-fr', 'fr-ch'],
+  'fr-mc': ['fr-fr'],
+  'it-ch': ['it-it'],
+  'it-sm': ['it-it'],
+  'en-ie': ['en-uk'],
+  'en-ca': ['en-us'],
+};
+
+/**
+ * Read the stored locale choice
+ * @returns {string|null} Stored locale key, 'dismissed' or null
+ */
+export function getStoredPreference() {
+  try {
+    return localStorage.getItem(PREFERENCE_STORAGE_KEY);
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Remember the visitor's locale choice so they are not prompted again
+ * @param {string} value Locale key or 'dismissed'
+ */
+export function storePreference(value) {
+  try {
+    localStorage.setItem(PREFERENCE_STORAGE_KEY, value);
+  } catch (e) {
+    // do nothing
+  }
+}
+
+/**
+ * Find the best supported locale for a list of browser language tags
+ * @param {Array<string>} languages Language tags in order of preference (e.g., navigator.languages)
+ * @param {Array} locales Supported locale objects
+ * @param {Object} fallbacks Map of lowercase language tags to ordered locale keys
+ * @returns {Object|null} Matching locale object or null
+ */
+export function detectPreferredLocale(languages, locales = getAllLocales(), fallbacks = {}) {
+  const fallbackMap = { ...DEFAULT_FALLBACKS, ...fallbacks };
+  const byKey = (key) => locales.find((locale) => localeToKey(locale.lang, locale.country) === key);
+
+  // Resolve each tag in order of preference: exact hreflang, regional fallback, language
+  const resolve = (tag) => {
+    const [lang] = tag.split('-');
+    return locales.find((locale) => locale.hreflang?.toLowerCase() === tag)
+      || (fallbackMap[tag] || []).map(byKey).find(Boolean)
+      || locales.find((locale) => locale.lang === lang);
+  };
+
+  return (languages || [])
+    .filter(Boolean)
+    .map((tag) => resolve(tag.toLowerCase().replace('_', '-')))
+    .find(Boolean) || null;
+}
+
+/**
+ * Check if auto-detection should run for the current request
+ * @param {string} path Current URL path
+ * @returns {boolean} True on the root path or a non-localized path
+ */
+function shouldDetect(path) {
+  if (window.self !== window.top || navigator.webdriver || document.querySelector('.language-banner')) {
+    return false;
+  }
+  return path === '/' || !parseLocale(path).isValid;
+}
+
+/**
+ * Creates the dismissible "view this site in…" banner
+ * @param {Object} locale Target locale object
+ * @param {string} targetUrl Mapped URL in the target locale
+ * @param {Object} labels UI labels from the switcher configuration
+ * @returns {HTMLElement} The banner element
+ */
+function createBanner(locale, targetUrl, labels = {}) {
+  const localeKey = localeToKey(locale.lang, locale.country);
+  const banner = document.createElement('div');
+  banner.classList.add('language-banner');
+  banner.setAttribute('role', 'region');
+  banner.setAttribute('aria-label', labels.autoDetectRegion || 'Language suggestion');
+  banner.setAttribute('lang', locale.lang);
+
+  const message = document.createElement('p');
+  message.textContent = (labels.autoDetectPrompt || 'View this site in {language}?')
+    .replace('{language}', locale.name);
+
+  const accept = document.createElement('a');
+  accept.classList.add('button');
+  accept.href = targetUrl;
+  accept.setAttribute('hreflang', locale.hreflang);
+  accept.textContent = labels.autoDetectAccept || 'Continue';
+  accept.addEventListener('click', () => storePreference(localeKey));
+
+  const dismiss = document.createElement('button');
+  dismiss.type = 'button';
+  dismiss.classList.add('language-banner-dismiss');
+  dismiss.setAttribute('aria-label', labels.autoDetectDismiss || 'Stay on this site');
+  dismiss.textContent = '×';
+  dismiss.addEventListener('click', () => {
+    storePreference('dismissed');
+    banner.remove();
+  });
+
+  banner.append(message, accept, dismiss);
+  return banner;
+}
+
+/**
+ * Suggest or redirect to the visitor's preferred locale on their first visit
+ * @param {Object} config Language switcher configuration
+ * @returns {Promise<string|null>} Target URL when a suggestion was made, otherwise null
+ */
+export default async function autoDetectLocale(config) {
+  const autoDetect = config.behavior?.autoDetect || {};
+  const path = window.location.pathname;
+
+  if (!autoDetect.enabled || getStoredPreference() || !shouldDetect(path)) {
+    return null;
+  }
+
+  const locale = detectPreferredLocale(
+    navigator.languages?.length ? navigator.languages : [navigator.language],
+    getAllLocales(),
+    autoDetect.fallbacks,
+  );
+  if (!locale) {
+    return null;
+  }
+
+  const targetPath = await mapUrlToLanguage(path, locale.lang, locale.country);
+  const targetUrl = getLocaleUrl(targetPath, locale.lang, locale.country);
+
+  if (autoDetect.mode === 'redirect') {
+    storePreference(localeToKey(locale.lang, locale.country));
+    window.location.replace(`${targetUrl}${window.location.search}${window.location.hash}`);
+  } else {
+    document.body.prepend(createBanner(locale, targetUrl, config.ui?.labels));
+  }
+
+  return targetUrl;
+}
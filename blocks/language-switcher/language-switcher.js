@@ -1,25 +1,18 @@
-import { getCurrentLocale, getAlternates } from '../../scripts/language-mapping.js';
+import { toCamelCase } from '../../scripts/aem.js';
+import { loadPlaceholders, t } from '../../scripts/i18n.js';
+import { getAllLocales, loadSiteConfig, DEFAULT_LOCALE } from '../../scripts/language-config.js';
+import {
+  getCurrentLocale,
+  getAlternates,
+  getLocaleUrl,
+  buildLocalePrefix,
+  localeToKey,
+} from '../../scripts/language-mapping.js';
+import autoDetectLocale, { storePreference } from './auto-detect.js';
 
 // Cache for language switcher configuration
 let configCache = null;
 
-/**
- * Simple placeholder implementation for language switcher
- * @returns {Object} Default placeholders
- */
-async function fetchPlaceholders() {
-  // Return default placeholders since this project doesn't have a placeholders system
-  return {
-    selectLanguage: 'Select language and country',
-    availableLanguages: 'Available languages and countries',
-    languageEN: 'English',
-    languageDE: 'Deutsch',
-    languageFR: 'Français',
-    languageIT: 'Italiano',
-    languagePL: 'Polski',
-  };
-}
-
 /**
  * Load language switcher configuration
  * @param {HTMLElement} block The block element
@@ -30,6 +23,9 @@ async function loadConfig(block) {
     return configCache;
   }
 
+  // Site configuration provides the supported locales
+  await loadSiteConfig();
+
   // Load runtime configuration
   let runtimeConfig = {};
   try {
@@ -47,10 +43,13 @@ async function loadConfig(block) {
     displayMode: block.dataset.displayMode || 'dropdown',
     showCountryFlags: block.dataset.showCountryFlags !== 'false',
     groupByCountry: block.dataset.groupByCountry !== 'false',
-    supportedLocales: block.dataset.supportedLocales?.split(',') || ['en-uk', 'de-ch', 'fr-ch'],
-    fallbackLocale: block.dataset.fallbackLocale || 'en-uk',
+    supportedLocales: block.dataset.supportedLocales?.split(',')
+      || getAllLocales().map((locale) => localeToKey(locale.lang, locale.country)),
+    fallbackLocale: block.dataset.fallbackLocale
+      || localeToKey(DEFAULT_LOCALE.lang, DEFAULT_LOCALE.country),
     preservePath: block.dataset.preservePath !== 'false',
     autoDetect: block.dataset.autoDetect !== 'false',
+    autoDetectMode: block.dataset.autoDetectMode,
     customLabel: block.dataset.customLabel || 'Select language and country',
   };
 
@@ -66,7 +65,12 @@ async function loadConfig(block) {
     behavior: {
       ...runtimeConfig.behavior,
       preservePath: blockConfig.preservePath,
-      autoDetect: { ...runtimeConfig.behavior?.autoDetect, enabled: blockConfig.autoDetect },
+      autoDetect: {
+        mode: 'banner',
+        ...runtimeConfig.behavior?.autoDetect,
+        ...(blockConfig.autoDetectMode && { mode: blockConfig.autoDetectMode }),
+        enabled: blockConfig.autoDetect,
+      },
     },
     ui: {
       ...runtimeConfig.ui,
@@ -147,24 +151,36 @@ function getConfigLocales(config) {
   return locales;
 }
 
+/**
+ * Get the link target for a locale option
+ * @param {Object} locale The locale object
+ * @param {Object} alternates Mapped URLs keyed by locale key
+ * @returns {string} Path, or absolute URL when the locale has its own origin
+ */
+function getLocaleHref(locale, alternates) {
+  const localeKey = localeToKey(locale.lang, locale.country);
+  const path = alternates[localeKey]
+    || locale.urlPath
+    || `${buildLocalePrefix(locale.lang, locale.country)}/`;
+  return getLocaleUrl(path, locale.lang, locale.country);
+}
+
 /**
  * Creates a locale option element with country/language info
  * @param {Object} locale The locale object
  * @param {boolean} isCurrent Whether this is the current locale
- * @param {Object} placeholders The placeholders object
  * @param {string} mappedUrl The mapped URL for this locale
  * @param {Object} config Configuration object
  * @returns {HTMLElement} The locale option element
  */
-function createLocaleOption(locale, isCurrent, placeholders, mappedUrl, config) {
+function createLocaleOption(locale, isCurrent, mappedUrl, config) {
   const li = document.createElement('li');
   li.classList.add('language-option');
 
   const localeKey = `${locale.lang}-${locale.country}`;
-  const placeholderKey = `locale${localeKey.replace('-', '').toUpperCase()}`;
 
-  // Get display text with flag if enabled
-  let displayText = placeholders[placeholderKey] || locale.name;
+  // Get display text with flag if enabled, e.g. from a `locale-en-uk` placeholder
+  let displayText = t(toCamelCase(`locale-${localeKey}`), locale.name);
   if (config.display?.showCountryFlags && locale.flag) {
     displayText = `${locale.flag} ${displayText}`;
   }
@@ -186,8 +202,9 @@ function createLocaleOption(locale, isCurrent, placeholders, mappedUrl, config)
     const switchLabel = config.ui?.labels?.switchTo
       ?.replace('{language}', langName)
       ?.replace('{country}', countryName)
-      || `Switch to ${locale.name}`;
+      || t('switchTo', 'Switch to {locale}', { locale: locale.name });
     a.setAttribute('title', switchLabel);
+    a.addEventListener('click', () => storePreference(localeKey));
     li.appendChild(a);
   }
 
@@ -227,11 +244,10 @@ export default async function decorate(block) {
   const config = await loadConfig(block);
   const currentLocaleInfo = getCurrentLocale();
 
-  // Use config locales if available, fallback to empty array
-  const allLocales = config.countries ? getConfigLocales(config) : [];
+  // Use runtime config locales if available, fallback to the site configuration
+  const allLocales = config.countries ? getConfigLocales(config) : getAllLocales();
 
-  // Get placeholders (using simple default implementation)
-  const placeholders = await fetchPlaceholders();
+  await loadPlaceholders();
 
   // Create language switcher container
   const container = document.createElement('div');
@@ -243,7 +259,7 @@ export default async function decorate(block) {
   currentLanguageButton.setAttribute('aria-expanded', 'false');
   currentLanguageButton.setAttribute(
     'aria-label',
-    config.ui?.labels?.selectLanguage || placeholders.selectLanguage || 'Select language and country',
+    config.ui?.labels?.selectLanguage || t('selectLanguage', 'Select language and country'),
   );
 
   // Get current country/language info from config
@@ -280,8 +296,7 @@ export default async function decorate(block) {
   languageList.setAttribute(
     'aria-label',
     config.ui?.labels?.availableOptions
-      || placeholders.availableLanguages
-      || 'Available languages and countries',
+      || t('availableLanguages', 'Available languages and countries'),
   );
 
   // Get alternate URLs for all locales
@@ -310,11 +325,9 @@ export default async function decorate(block) {
         if (locale) {
           const isCurrent = locale.lang === currentLocaleInfo.lang
             && locale.country === currentLocaleInfo.country;
-          const localeKey = `${locale.lang}-${locale.country}`;
-          const fallbackUrl = locale.urlPath || `/${locale.lang}/${locale.country}/`;
-          const mappedUrl = isCurrent ? null : (alternates[localeKey] || fallbackUrl);
+          const mappedUrl = isCurrent ? null : getLocaleHref(locale, alternates);
 
-          const option = createLocaleOption(locale, isCurrent, placeholders, mappedUrl, config);
+          const option = createLocaleOption(locale, isCurrent, mappedUrl, config);
           languageList.appendChild(option);
         }
       });
@@ -324,11 +337,9 @@ export default async function decorate(block) {
     allLocales.forEach((locale) => {
       const isCurrent = locale.lang === currentLocaleInfo.lang
         && locale.country === currentLocaleInfo.country;
-      const localeKey = `${locale.lang}-${locale.country}`;
-      const fallbackUrl = locale.urlPath || `/${locale.lang}/${locale.country}/`;
-      const mappedUrl = isCurrent ? null : (alternates[localeKey] || fallbackUrl);
+      const mappedUrl = isCurrent ? null : getLocaleHref(locale, alternates);
 
-      const option = createLocaleOption(locale, isCurrent, placeholders, mappedUrl, config);
+      const option = createLocaleOption(locale, isCurrent, mappedUrl, config);
       languageList.appendChild(option);
     });
   }
@@ -365,4 +376,10 @@ export default async function decorate(block) {
 
   // Mark block as decorated to prevent duplicates
   block.dataset.decorated = 'true';
+
+  // Suggest the visitor's preferred locale on their first visit
+  autoDetectLocale(config).catch((error) => {
+    // eslint-disable-next-line no-console
+    console.warn('Language auto-detection failed:', error);
+  });
 }
@@ -1,19 +1,25 @@
 import { createOptimizedPicture } from '../../scripts/aem.js';
+import { loadPlaceholders, t } from '../../scripts/i18n.js';
 import { moveInstrumentation } from '../../scripts/scripts.js';
+import { addStructuredData, toAbsoluteUrl } from '../../scripts/structured-data.js';
 
 const PROFILE_CONFIG = {
   IMAGE_WIDTHS: [{ width: '60' }, { width: '120' }, { width: '180' }],
+  // prefixes authored in existing content, stripped whatever the page locale
+  LEGACY_AUTHOR_PREFIXES: ['Autor: '],
 };
 
 /**
  * Profile block implementation
  * Displays author profile with image and name
  */
-export default function decorate(block) {
+export default async function decorate(block) {
   const rows = [...block.children];
 
   if (rows.length === 0) return;
 
+  await loadPlaceholders();
+
   block.textContent = '';
 
   const profileWrapper = document.createElement('div');
@@ -21,7 +27,8 @@ export default function decorate(block) {
 
   let imageElement = null;
   let authorName = '';
-  let authorPrefix = 'Autor: ';
+  const authorPrefix = t('authorPrefix', 'Author: ');
+  const knownPrefixes = [authorPrefix, ...PROFILE_CONFIG.LEGACY_AUTHOR_PREFIXES];
 
   // Extract content from rows
   rows.forEach((row) => {
@@ -54,10 +61,10 @@ export default function decorate(block) {
         if (element.tagName === 'DIV' || element.tagName === 'P') {
           const textContent = element.textContent?.trim();
           if (textContent && !authorName) {
-            // Check if it contains "Autor: " prefix
-            if (textContent.startsWith('Autor: ')) {
-              authorPrefix = 'Autor: ';
-              authorName = textContent.replace('Autor: ', '').trim();
+            // Check if it contains an author prefix
+            const prefix = knownPrefixes.find((known) => textContent.startsWith(known));
+            if (prefix) {
+              authorName = textContent.slice(prefix.length).trim();
             } else {
               authorName = textContent;
             }
@@ -137,4 +144,12 @@ export default function decorate(block) {
   if (rows.length > 0) {
     moveInstrumentation(rows[0], block);
   }
+
+  if (authorName) {
+    addStructuredData({
+      '@type': 'Person',
+      name: authorName,
+      image: toAbsoluteUrl(imageElement?.src),
+    });
+  }
 }
@@ -6,6 +6,7 @@
 
 import { createOptimizedPicture } from '../../scripts/aem.js';
 import { moveInstrumentation } from '../../scripts/scripts.js';
+import { addStructuredData, toAbsoluteUrl } from '../../scripts/structured-data.js';
 
 /**
  * Process individual profile item content
@@ -91,6 +92,27 @@ function processProfileItem(profileItem) {
 }
 
 
+/**
+ * Add Person structured data for a processed profile item
+ * @param {HTMLElement} profileItem - The profile item element
+ */
+function addProfileStructuredData(profileItem) {
+  const name = profileItem.querySelector('.profiles-container-author-name');
+  if (!name?.textContent.trim()) return;
+
+  const link = name.querySelector('a');
+  const title = profileItem.querySelector('.profiles-container-author-title');
+  const bio = profileItem.querySelector('.profiles-container-author-bio');
+  addStructuredData({
+    '@type': 'Person',
+    name: name.textContent.trim(),
+    jobTitle: title?.textContent.trim(),
+    description: bio?.textContent.trim(),
+    image: toAbsoluteUrl(profileItem.querySelector('.profiles-container-profile-image img, picture img')?.src),
+    url: link && link.getAttribute('href') !== '#' ? link.href : undefined,
+  });
+}
+
 /**
  * Add accessibility features to the profiles container
  * @param {HTMLElement} block - The block element
@@ -203,6 +225,7 @@ export default function decorate(block) {
 
     // Process the profile item content
     processProfileItem(li);
+    addProfileStructuredData(li);
 
     // Add to list
     ul.append(li);
@@ -1,3 +1,5 @@
+import { addStructuredData } from '../../scripts/structured-data.js';
+
 /**
  * Entry point to the block's JavaScript.
  * Must be exported as default and accept a block's DOM element.
@@ -36,4 +38,14 @@ export default function decorate(block) {
       }
     }
   });
+
+  const text = block.querySelector('blockquote')?.textContent.trim();
+  const author = block.querySelector('.quote-author')?.textContent.trim();
+  if (text) {
+    addStructuredData({
+      '@type': 'Quotation',
+      text,
+      creator: author ? { '@type': 'Person', name: author } : undefined,
+    });
+  }
 }
@@ -1,3 +1,4 @@
+import { loadPlaceholders, t } from '../../scripts/i18n.js';
 import { moveInstrumentation } from '../../scripts/scripts.js';
 
 /**
@@ -60,6 +61,8 @@ export default async function decorate(block) {
     return;
   }
 
+  await loadPlaceholders();
+
   // Create tabs container structure
   const tabsContainer = document.createElement('div');
   tabsContainer.className = 'tabs-container';
@@ -68,7 +71,7 @@ export default async function decorate(block) {
   const tabList = document.createElement('div');
   tabList.className = 'tabs-tab-list';
   tabList.setAttribute('role', 'tablist');
-  tabList.setAttribute('aria-label', 'Content tabs');
+  tabList.setAttribute('aria-label', t('contentTabs', 'Content tabs'));
 
   // Create indicator line
   const indicator = document.createElement('div');
@@ -1,3 +1,6 @@
+import { getMetadata } from '../../scripts/aem.js';
+import { addStructuredData, toAbsoluteUrl } from '../../scripts/structured-data.js';
+
 function decorateTeaserPicture(teaserPicture, target) {
   teaserPicture.parentElement.classList.add('video-cover');
   target.appendChild(teaserPicture.parentElement);
@@ -25,12 +28,38 @@ function pauseVideoAnimation(e) {
   }, 400);
 }
 
+function getYouTubeEmbedUrl(href) {
+  const url = new URL(href, window.location.href);
+  let id;
+  if (url.hostname === 'youtu.be') {
+    id = url.pathname.slice(1);
+  } else if (/(^|\.)youtube\.com$/.test(url.hostname)) {
+    id = url.searchParams.get('v') || url.pathname.match(/^\/(?:embed|shorts)\/([^/]+)/)?.[1];
+  }
+  return id ? `https://www.youtube-nocookie.com/embed/${id}` : null;
+}
+
 function decorateTeaser(video, teaserPicture, target) {
   if (!video && !teaserPicture) {
     // nothing to decorate
     return;
   }
 
+  const embedUrl = video && getYouTubeEmbedUrl(video.href);
+  if (embedUrl) {
+    // YouTube links are embedded with the YouTube player
+    const iframe = document.createElement('iframe');
+    iframe.classList.add('video-cover', 'video-embed');
+    iframe.src = embedUrl;
+    iframe.title = video.title;
+    iframe.loading = 'lazy';
+    iframe.allow = 'autoplay; encrypted-media; picture-in-picture';
+    iframe.toggleAttribute('allowfullscreen', true);
+    target.prepend(iframe);
+    video.remove();
+    return;
+  }
+
   if (!video) {
     // author didn't configure a teaser video
     // we'll use the image as the hero content for all screen sizes
@@ -151,6 +180,18 @@ async function decorateFullScreenVideo(fullScreenVideoLink, teaserPicture, targe
   target.appendChild(fullVideoContainer);
 }
 
+function addVideoStructuredData(videoLink, teaserPicture) {
+  if (!videoLink) return;
+  addStructuredData({
+    '@type': 'VideoObject',
+    name: videoLink.title || videoLink.textContent.trim() || getMetadata('og:title') || document.title,
+    description: getMetadata('description'),
+    contentUrl: toAbsoluteUrl(videoLink.href),
+    thumbnailUrl: toAbsoluteUrl(teaserPicture?.src),
+    uploadDate: getMetadata('published-time') || undefined,
+  });
+}
+
 export default function decorate(block) {
   const videoBanner = block.children[0];
   videoBanner.classList.add('hero-video-banner');
@@ -167,6 +208,7 @@ export default function decorate(block) {
   }
 
   // preloadLCPImage(teaserPicture.src);
+  addVideoStructuredData(teaserVideoLink, teaserPicture);
   decorateTeaser(teaserVideoLink, teaserPicture, heroContent, placeholderImage);
 
   const overlay = videoBanner.children[1];
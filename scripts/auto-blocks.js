@@ -0,0 +1,140 @@
+import { buildBlock, getMetadata } from './aem.js';
+
+// Page metadata listing auto-block rules to skip (e.g. `hero, video`), or `all`
+const DISABLE_METADATA = 'disable-auto-blocks';
+
+/**
+ * Resolves the URL of a link, or null if it can't be parsed.
+ * @param {Element} link The link element
+ * @returns {URL} The link URL
+ */
+function getLinkUrl(link) {
+  try {
+    return new URL(link.href, window.location.href);
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Checks whether a URL points to a YouTube video.
+ * @param {URL} url The URL
+ * @returns {boolean} True for youtube.com and youtu.be links
+ */
+function isYouTubeUrl(url) {
+  return /(^|\.)youtube\.com$/.test(url.hostname) || url.hostname === 'youtu.be';
+}
+
+/**
+ * Turns a leading picture and h1 in the first section into a hero block.
+ * @param {Element} main The container element
+ */
+function buildHeroBlock(main) {
+  if (main.querySelector('.hero')) return;
+  const section = main.querySelector(':scope > div');
+  const h1 = section?.querySelector(':scope > h1');
+  const picture = section?.querySelector(':scope > p > picture');
+  // eslint-disable-next-line no-bitwise
+  if (h1 && picture && (h1.compareDocumentPosition(picture) & Node.DOCUMENT_POSITION_PRECEDING)) {
+    const pictureParent = picture.parentElement;
+    const heroSection = document.createElement('div');
+    heroSection.append(buildBlock('hero', [[picture], [h1]]));
+    if (!pictureParent.textContent.trim() && !pictureParent.children.length) pictureParent.remove();
+    main.prepend(heroSection);
+  }
+}
+
+/**
+ * Auto-blocking rules, applied in order. Authors can push their own rules.
+ *
+ * A rule has a `name` (used to disable it through page metadata) and either:
+ * - `apply(main)`, which changes the container as it needs, or
+ * - `block`, `matches(url, link)` and `content(link)`, which turn every standalone link
+ *   in default content that matches into a block built from `content`.
+ */
+export const AUTO_BLOCK_RULES = [
+  {
+    name: 'hero',
+    apply: buildHeroBlock,
+  },
+  {
+    name: 'fragment',
+    block: 'fragment',
+    matches: (url) => url.origin === window.location.origin && url.pathname.startsWith('/fragments/'),
+    content: (link) => [[link]],
+  },
+  {
+    name: 'video',
+    block: 'video',
+    matches: (url) => url.pathname.toLowerCase().endsWith('.mp4') || isYouTubeUrl(url),
+    content: (link) => [[{ elems: [link] }, '']],
+  },
+  {
+    name: 'download',
+    block: 'download',
+    matches: (url) => url.pathname.toLowerCase().endsWith('.pdf'),
+    content: (link) => [[link.textContent.trim()], [''], [link.textContent.trim()], [link]],
+  },
+];
+
+/**
+ * Collects the rule names disabled through page metadata.
+ * @returns {Set<string>} The disabled rule names, `all` disables every rule
+ */
+function getDisabledRules() {
+  return new Set(getMetadata(DISABLE_METADATA)
+    .split(',')
+    .map((name) => name.trim().toLowerCase())
+    .filter(Boolean));
+}
+
+/**
+ * Finds links that are the only content of a default content paragraph.
+ * @param {Element} main The container element
+ * @returns {Element[]} The links
+ */
+function getStandaloneLinks(main) {
+  return [...main.querySelectorAll(':scope > div > p a[href]')].filter((link) => {
+    const paragraph = link.closest('p');
+    return paragraph.querySelectorAll('a').length === 1
+      && !paragraph.querySelector('picture')
+      && paragraph.textContent.trim() === link.textContent.trim();
+  });
+}
+
+/**
+ * Replaces matching standalone links with the block of a link rule.
+ * @param {Element} main The container element
+ * @param {Object} rule The link rule
+ */
+function applyLinkRule(main, rule) {
+  getStandaloneLinks(main).forEach((link) => {
+    const url = getLinkUrl(link);
+    if (!url || !rule.matches(url, link)) return;
+    const paragraph = link.closest('p');
+    link.classList.remove('button', 'primary', 'secondary');
+    paragraph.replaceWith(buildBlock(rule.block, rule.content(link)));
+  });
+}
+
+/**
+ * Applies the auto-blocking rules that aren't disabled for the page.
+ * A failing rule is logged and doesn't stop the others.
+ * @param {Element} main The container element
+ * @param {Array} rules The rules to apply
+ */
+export default function buildAutoBlocks(main, rules = AUTO_BLOCK_RULES) {
+  const disabled = getDisabledRules();
+  if (disabled.has('all')) return;
+  rules
+    .filter((rule) => !disabled.has(rule.name))
+    .forEach((rule) => {
+      try {
+        if (rule.apply) rule.apply(main);
+        else applyLinkRule(main, rule);
+      } catch (error) {
+        // eslint-disable-next-line no-console
+        console.error(`Auto blocking rule "${rule.name}" failed`, error);
+      }
+    });
+}
@@ -0,0 +1,100 @@
+import { toCamelCase } from './aem.js';
+import { getLocaleFallbacks, loadSiteConfig } from './language-config.js';
+import { buildLocalePrefix, getCurrentLocale } from './language-mapping.js';
+
+// Placeholders sheet published in every locale folder, e.g. /en/uk/placeholders.json
+export const PLACEHOLDERS_SHEET = 'placeholders.json';
+
+let dictionary = null;
+let dictionaryPromise = null;
+
+/**
+ * Fetch the placeholders sheet of a locale
+ * Rows have a `Key` and a `Text` column; keys are camel-cased (`Search Label` → `searchLabel`).
+ * @param {string} prefix Locale prefix (e.g., '/en/uk')
+ * @returns {Promise<Object>} Texts keyed by camel-cased key, empty if the sheet is missing
+ */
+async function fetchLocalePlaceholders(prefix) {
+  try {
+    const response = await fetch(`${prefix}/${PLACEHOLDERS_SHEET}`);
+    if (!response.ok) return {};
+    const { data = [] } = await response.json();
+    return Object.fromEntries(data
+      .filter((row) => row.Key)
+      .map((row) => [toCamelCase(row.Key), row.Text || '']));
+  } catch (error) {
+    // eslint-disable-next-line no-console
+    console.warn(`Failed to load placeholders for ${prefix}:`, error);
+    return {};
+  }
+}
+
+/**
+ * Load the placeholders of the current locale, merged over its fallback locales
+ * (ending with the default locale), so missing keys use the fallback texts.
+ * @returns {Promise<Object>} Texts keyed by camel-cased key
+ */
+export async function loadPlaceholders() {
+  if (dictionary) return dictionary;
+  if (!dictionaryPromise) {
+    // the fallback chain comes from the site configuration
+    dictionaryPromise = loadSiteConfig()
+      .then(() => {
+        const { lang, country } = getCurrentLocale();
+        const prefixes = [{ lang, country }, ...getLocaleFallbacks(lang, country)]
+          .map((locale) => buildLocalePrefix(locale.lang, locale.country));
+        return Promise.all(prefixes.map(fetchLocalePlaceholders));
+      })
+      .then((sheets) => {
+        dictionary = Object.assign({}, ...sheets.reverse());
+        return dictionary;
+      });
+  }
+  return dictionaryPromise;
+}
+
+/**
+ * Replace `{name}` tokens with values
+ * @param {string} text Text with tokens
+ * @param {Object} values Token values
+ * @returns {string} Interpolated text, unknown tokens are kept
+ */
+function interpolate(text, values) {
+  return text.replace(/\{(\w+)\}/g, (token, name) => (
+    values[name] !== undefined && values[name] !== null ? `${values[name]}` : token
+  ));
+}
+
+/**
+ * Translate a UI string
+ *
+ * Uses the loaded placeholders (see `loadPlaceholders`) or the given default text.
+ * With a numeric `count` value, the plural form is looked up first by appending the
+ * plural category to the key (e.g. `itemsOne`, `itemsOther`); the default text can
+ * then be an object of plural forms (e.g. `{ one: '{count} item', other: '{count} items' }`).
+ * @param {string} key Camel-cased placeholder key
+ * @param {string|Object} defaultText Text used when the key isn't translated
+ * @param {Object} values Interpolation values
+ * @returns {string} The translated text
+ */
+export function t(key, defaultText = key, values = {}) {
+  const texts = dictionary || {};
+  let text;
+  if (typeof values.count === 'number') {
+    const category = new Intl.PluralRules(getCurrentLocale().hreflang).select(values.count);
+    text = texts[`${key}${category.charAt(0).toUpperCase()}${category.slice(1)}`]
+      || texts[key]
+      || (typeof defaultText === 'object' ? defaultText[category] || defaultText.other : defaultText);
+  } else {
+    text = texts[key] || defaultText;
+  }
+  return interpolate(`${text ?? ''}`, values);
+}
+
+/**
+ * Clear the loaded placeholders (useful for testing)
+ */
+export function clearPlaceholdersCache() {
+  dictionary = null;
+  dictionaryPromise = null;
+}
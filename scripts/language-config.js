@@ -1,8 +1,15 @@
 /**
  * Language and locale configuration for multilingual multisite
  * Supports both lang/country (en/uk) and country/lang (ch/de, ch/fr) formats
+ *
+ * The arrays below are the built-in defaults. loadSiteConfig() replaces their contents
+ * with the rows of the /config/sites.json sheet, so adding a market is a content change.
  */
 
+// Site configuration sheet and its session cache key
+export const SITE_CONFIG_PATH = '/config/sites.json';
+const SITE_CONFIG_STORAGE_KEY = 'site-config';
+
 // Supported languages (ISO 639-1)
 export const SUPPORTED_LANGUAGES = [
   'en', // English
@@ -27,7 +34,11 @@ export const SUPPORTED_COUNTRIES = [
 // All others use language-first (e.g., /en/uk, /de/de)
 export const COUNTRY_FIRST_LOCALES = ['ch'];
 
+// Languages written right-to-left, used when a locale does not declare `dir`
+export const RTL_LANGUAGES = ['ar', 'fa', 'he', 'ur'];
+
 // Supported locale combinations
+// Optional `dir: 'rtl'` declares a right-to-left locale
 export const SUPPORTED_LOCALES = [
   {
     lang: 'en', country: 'uk', hreflang: 'en-GB', name: 'English (UK)',
@@ -58,6 +69,11 @@ export const SUPPORTED_LOCALES = [
 // Default locale (fallback)
 export const DEFAULT_LOCALE = { lang: 'en', country: 'uk' };
 
+// Explicit fallback chains for locale-specific content (e.g., nav and footer fragments)
+// Locales not listed fall back to other countries with the same language, then DEFAULT_LOCALE
+// e.g. { 'fr-ch': ['fr-fr', 'en-uk'] }
+export const LOCALE_FALLBACKS = {};
+
 /**
  * Get locale order for a given country
  * @param {string} country Country code
@@ -106,6 +122,20 @@ export function getLocale(lang, country) {
    || null;
 }
 
+/**
+ * Get the text direction for a locale
+ * @param {string} lang Language code
+ * @param {string} [country] Country code
+ * @returns {string} 'rtl' or 'ltr'
+ */
+export function getTextDirection(lang, country) {
+  const locale = country ? getLocale(lang, country) : null;
+  if (locale?.dir) {
+    return locale.dir;
+  }
+  return RTL_LANGUAGES.includes(lang) ? 'rtl' : 'ltr';
+}
+
 /**
  * Get all supported locales
  * @returns {Array} Array of locale objects
@@ -113,3 +143,140 @@ export function getLocale(lang, country) {
 export function getAllLocales() {
   return [...SUPPORTED_LOCALES];
 }
+
+/**
+ * Get the ordered fallback locales for a locale, excluding the locale itself
+ * @param {string} lang Language code
+ * @param {string} country Country code
+ * @returns {Array} Array of { lang, country } objects
+ */
+export function getLocaleFallbacks(lang, country) {
+  const key = `${lang}-${country}`;
+  const keys = LOCALE_FALLBACKS[key] || [
+    ...SUPPORTED_LOCALES
+      .filter((locale) => locale.lang === lang && locale.country !== country)
+      .map((locale) => `${locale.lang}-${locale.country}`),
+    `${DEFAULT_LOCALE.lang}-${DEFAULT_LOCALE.country}`,
+  ];
+
+  return [...new Set(keys)]
+    .filter((fallbackKey) => fallbackKey !== key)
+    .map((fallbackKey) => {
+      const [fallbackLang, fallbackCountry] = fallbackKey.split('-');
+      return { lang: fallbackLang, country: fallbackCountry };
+    });
+}
+
+/**
+ * Get the origin serving a locale
+ * @param {string} lang Language code
+ * @param {string} country Country code
+ * @returns {string} Configured origin or the current origin
+ */
+export function getLocaleOrigin(lang, country) {
+  return getLocale(lang, country)?.origin || window.location.origin;
+}
+
+/**
+ * Replace the contents of an exported array, keeping the same reference for importers
+ * @param {Array} target Array to update
+ * @param {Array} values New values
+ */
+function replaceContents(target, values) {
+  target.splice(0, target.length, ...values);
+}
+
+/**
+ * Apply site configuration rows to the exported locale settings
+ * Columns: lang, country, hreflang, name, order, dir, origin, default, fallbacks
+ * @param {Array} rows Sheet rows
+ */
+export function applySiteConfig(rows) {
+  const valid = rows.filter((row) => row.lang && row.country);
+  if (!valid.length) {
+    return;
+  }
+
+  const locales = valid.map((row) => {
+    const lang = row.lang.trim().toLowerCase();
+    const country = row.country.trim().toLowerCase();
+    return {
+      lang,
+      country,
+      hreflang: row.hreflang || `${lang}-${country.toUpperCase()}`,
+      name: row.name || `${lang}-${country}`,
+      ...(row.dir && { dir: row.dir.trim().toLowerCase() }),
+      ...(row.origin && { origin: row.origin.trim().replace(/\/$/, '') }),
+    };
+  });
+
+  replaceContents(SUPPORTED_LOCALES, locales);
+  replaceContents(SUPPORTED_LANGUAGES, [...new Set(locales.map(({ lang }) => lang))]);
+  replaceContents(SUPPORTED_COUNTRIES, [...new Set(locales.map(({ country }) => country))]);
+  replaceContents(COUNTRY_FIRST_LOCALES, [...new Set(valid
+    .filter((row) => ['country-lang', 'country-first'].includes(row.order?.trim().toLowerCase()))
+    .map((row) => row.country.trim().toLowerCase()))]);
+
+  const defaultIndex = Math.max(0, valid.findIndex((row) => String(row.default).trim().toLowerCase() === 'true'));
+  Object.assign(DEFAULT_LOCALE, {
+    lang: locales[defaultIndex].lang,
+    country: locales[defaultIndex].country,
+  });
+
+  Object.keys(LOCALE_FALLBACKS).forEach((key) => delete LOCALE_FALLBACKS[key]);
+  valid.forEach((row, index) => {
+    if (row.fallbacks) {
+      const { lang, country } = locales[index];
+      LOCALE_FALLBACKS[`${lang}-${country}`] = row.fallbacks.split(',')
+        .map((key) => key.trim().toLowerCase())
+        .filter(Boolean);
+    }
+  });
+}
+
+let siteConfigPromise = null;
+
+/**
+ * Load the site configuration sheet once per session and apply it
+ * Falls back to the built-in defaults if the sheet is missing, which is also remembered.
+ * A configuration cached in the session is applied before this returns, without awaiting.
+ * @returns {Promise<Array>} Array of supported locale objects
+ */
+export async function loadSiteConfig() {
+  if (siteConfigPromise) {
+    return siteConfigPromise;
+  }
+
+  siteConfigPromise = (async () => {
+    let rows = null;
+    try {
+      rows = JSON.parse(sessionStorage.getItem(SITE_CONFIG_STORAGE_KEY));
+    } catch (e) {
+      // do nothing
+    }
+
+    if (!Array.isArray(rows)) {
+      try {
+        const response = await fetch(SITE_CONFIG_PATH);
+        if (response.ok) {
+          const json = await response.json();
+          rows = json.data || json.locales?.data || [];
+        } else if (response.status === 404) {
+          // no sheet, the defaults apply for the rest of the session
+          rows = [];
+        }
+        if (rows) sessionStorage.setItem(SITE_CONFIG_STORAGE_KEY, JSON.stringify(rows));
+      } catch (error) {
+        // eslint-disable-next-line no-console
+        console.warn('Failed to load site configuration:', error);
+      }
+    }
+
+    if (Array.isArray(rows)) {
+      applySiteConfig(rows);
+    }
+    return getAllLocales();
+  })();
+
+  return siteConfigPromise;
+}
@@ -2,6 +2,9 @@ import {
   getLocaleOrder,
   isLocaleSupported,
   getAllLocales,
+  getLocale,
+  getLocaleOrigin,
+  getTextDirection,
   DEFAULT_LOCALE,
   COUNTRY_FIRST_LOCALES,
 } from './language-config.js';
@@ -64,6 +67,18 @@ export function buildLocalePrefix(lang, country) {
   return order === 'country-lang' ? `/${country}/${lang}` : `/${lang}/${country}`;
 }
 
+/**
+ * Resolve a locale path to a URL, absolute when the locale is served from another origin
+ * @param {string} path Locale path (e.g., '/ch/de/uber-uns')
+ * @param {string} lang Language code
+ * @param {string} country Country code
+ * @returns {string} Path or absolute URL
+ */
+export function getLocaleUrl(path, lang, country) {
+  const origin = getLocaleOrigin(lang, country);
+  return origin === window.location.origin ? path : new URL(path, origin).href;
+}
+
 /**
  * Convert locale to key format for mappings
  * @param {string} lang Language code
@@ -88,9 +103,111 @@ export function keyToLocale(localeKey) {
 let urlMappingsCache = null;
 let mappingsLoadPromise = null;
 
+// Pages the mapping sheet marks as untranslated: { 'sourceLocale:sourcePath': [targetLocale] }
+let untranslatedPages = {};
+
+/**
+ * Normalize a path for mapping lookups (drops .html and trailing slashes)
+ * @param {string} path URL path
+ * @returns {string} Normalized path
+ */
+function normalizePath(path) {
+  return path.trim().replace(/(\.plain)?\.html$/, '').replace(/\/+$/, '') || '/';
+}
+
+/**
+ * Build the lookup key of a page in a translation group
+ * @param {string} localeKey Locale key (e.g., 'en-uk')
+ * @param {string} path URL path
+ * @returns {string} Lookup key
+ */
+function memberKey(localeKey, path) {
+  return `${localeKey}:${normalizePath(path)}`;
+}
+
+/**
+ * Convert the JSON fallback ({ sourceLocale: { sourcePath: targetPath } }) to mapping rows
+ * @param {Object} json JSON mappings
+ * @returns {Array} Array of { sourceLocale, sourcePath, targetLocale, targetPath }
+ */
+function jsonToRows(json) {
+  return Object.entries(json).flatMap(([sourceLocale, paths]) => Object.entries(paths)
+    .map(([sourcePath, target]) => {
+      if (typeof target === 'string') {
+        const { lang, country } = parseLocale(target);
+        return {
+          sourceLocale, sourcePath, targetLocale: localeToKey(lang, country), targetPath: target,
+        };
+      }
+      return { sourceLocale, sourcePath, ...target };
+    }));
+}
+
+/**
+ * Build an index of translation groups from mapping rows
+ * Every row links two pages; linked pages form one group, so any member resolves to every
+ * other member in both directions and across locales that are not mapped directly.
+ * A group with two different paths for the same locale keeps the first path, and the
+ * conflict is returned for the translation status tool to report.
+ * @param {Array} rows Array of { sourceLocale, sourcePath, targetLocale, targetPath }
+ * @returns {Object} { rows, groups, lookup, conflicts }
+ */
+export function buildTranslationIndex(rows) {
+  const lookup = new Map();
+  const conflicts = [];
+
+  const addMember = (group, localeKey, path, row) => {
+    const existing = group[localeKey];
+    if (existing && normalizePath(existing) !== normalizePath(path)) {
+      conflicts.push({ localeKey, paths: [existing, path], row });
+    } else if (!existing) {
+      group[localeKey] = path;
+    }
+    lookup.set(memberKey(localeKey, path), group);
+  };
+
+  rows.forEach((row) => {
+    const sourceGroup = lookup.get(memberKey(row.sourceLocale, row.sourcePath));
+    const targetGroup = lookup.get(memberKey(row.targetLocale, row.targetPath));
+
+    if (sourceGroup && targetGroup && sourceGroup !== targetGroup) {
+      // Merge the target group into the source group
+      Object.entries(targetGroup).forEach(([localeKey, path]) => {
+        addMember(sourceGroup, localeKey, path, row);
+      });
+      lookup.forEach((group, key) => {
+        if (group === targetGroup) lookup.set(key, sourceGroup);
+      });
+    } else {
+      const group = sourceGroup || targetGroup || {};
+      addMember(group, row.sourceLocale, row.sourcePath, row);
+      addMember(group, row.targetLocale, row.targetPath, row);
+    }
+  });
+
+  return {
+    rows,
+    groups: [...new Set(lookup.values())],
+    lookup,
+    conflicts,
+  };
+}
+
+/**
+ * Find the translation of a page in a target locale
+ * @param {Object} index Translation index from loadMappings()
+ * @param {string} localeKey Locale key of the page
+ * @param {string} path URL path of the page
+ * @param {string} targetLocaleKey Target locale key
+ * @returns {string|null} Target path or null if not mapped
+ */
+export function findTranslation(index, localeKey, path, targetLocaleKey) {
+  return index.lookup.get(memberKey(localeKey, path))?.[targetLocaleKey] || null;
+}
+
 /**
  * Load URL mappings from Google Sheets or JSON fallback
- * @returns {Promise<Object>} Mappings object
+ * @returns {Promise<Object>} Translation index ({ rows, groups, lookup, conflicts })
  */
 export async function loadMappings() {
   if (urlMappingsCache) {
@@ -102,7 +219,7 @@ export async function loadMappings() {
   }
 
   mappingsLoadPromise = (async () => {
-    const mappings = {};
+    const rows = [];
 
     try {
       // Try Google Sheets first
@@ -110,22 +227,25 @@ export async function loadMappings() {
       if (response.ok) {
         const data = await response.json();
 
-        // Convert sheet data to mappings object
+        // Convert sheet data to mapping rows
         if (data.data && Array.isArray(data.data)) {
           data.data.forEach((row) => {
             const sourceLocale = row.sourceLocale || row.sourcelocale;
             const sourcePath = row.sourcePath || row.sourcepath;
             const targetLocale = row.targetLocale || row.targetlocale;
             const targetPath = row.targetPath || row.targetpath;
-
-            if (sourceLocale && sourcePath && targetLocale && targetPath) {
-              if (!mappings[sourceLocale]) {
-                mappings[sourceLocale] = {};
-              }
-              mappings[sourceLocale][sourcePath] = {
+            const status = (row.status || '').trim().toLowerCase();
+
+            if (sourceLocale && sourcePath && targetLocale && status === 'untranslated') {
+              const key = memberKey(sourceLocale, sourcePath);
+              untranslatedPages[key] = [...(untranslatedPages[key] || []), targetLocale];
+            } else if (sourceLocale && sourcePath && targetLocale && targetPath) {
+              rows.push({
+                sourceLocale,
+                sourcePath,
                 targetLocale,
                 targetPath,
-              };
+              });
             }
           });
         }
@@ -135,25 +255,33 @@ export async function loadMappings() {
     }
 
     // Try JSON fallback if no mappings loaded
-    if (Object.keys(mappings).length === 0) {
+    if (rows.length === 0) {
       try {
         const response = await fetch('/config/url-mappings.json');
         if (response.ok) {
-          const jsonMappings = await response.json();
-          Object.assign(mappings, jsonMappings);
+          rows.push(...jsonToRows(await response.json()));
         }
       } catch (error) {
         console.warn('Failed to load mappings from JSON:', error);
       }
     }
 
-    urlMappingsCache = mappings;
-    return mappings;
+    urlMappingsCache = buildTranslationIndex(rows);
+    return urlMappingsCache;
   })();
 
   return mappingsLoadPromise;
 }
 
+/**
+ * Get conflicting rows found while building the translation index
+ * @returns {Promise<Array>} Array of { localeKey, paths, row }
+ */
+export async function getMappingConflicts() {
+  const { conflicts } = await loadMappings();
+  return conflicts;
+}
+
 /**
  * Map current URL to target language/country
  * @param {string} currentPath Current URL path
@@ -174,12 +302,12 @@ export async function mapUrlToLanguage(currentPath, targetLang, targetCountry) {
   const currentLocaleKey = localeToKey(currentLocale.lang, currentLocale.country);
 
   try {
-    const mappings = await loadMappings();
+    const index = await loadMappings();
 
-    // Check for exact mapping
-    if (mappings[currentLocaleKey] && mappings[currentLocaleKey][currentPath]) {
-      const mapping = mappings[currentLocaleKey][currentPath];
-      return mapping.targetPath;
+    // Check the translation group of the current page
+    const mapped = findTranslation(index, currentLocaleKey, currentPath, targetLocaleKey);
+    if (mapped) {
+      return mapped;
     }
   } catch (error) {
     console.warn('Error loading mappings:', error);
@@ -218,28 +346,83 @@ export async function getAlternates(currentPath) {
   return alternates;
 }
 
+/**
+ * Check if the mapping sheet marks a page, or a translation of it, as untranslated for a
+ * target locale
+ * @param {string} currentPath Current URL path
+ * @param {string} targetLang Target language
+ * @param {string} targetCountry Target country
+ * @returns {Promise<boolean>} True if the page has no translation in the target locale
+ */
+export async function isUntranslated(currentPath, targetLang, targetCountry) {
+  const currentLocale = parseLocale(currentPath);
+  if (!currentLocale.isValid) {
+    return false;
+  }
+
+  const index = await loadMappings();
+  const currentKey = memberKey(localeToKey(currentLocale.lang, currentLocale.country), currentPath);
+  // the row may name any page of the current page's translation group
+  const group = index.lookup.get(currentKey);
+  const members = group
+    ? Object.entries(group).map(([localeKey, path]) => memberKey(localeKey, path))
+    : [currentKey];
+  const targetLocaleKey = localeToKey(targetLang, targetCountry);
+  return members.some((key) => (untranslatedPages[key] || []).includes(targetLocaleKey));
+}
+
+/**
+ * Get hreflang alternate links for the current page, including x-default
+ * Locales where the page is marked as untranslated are skipped.
+ * @param {string} currentPath Current URL path
+ * @returns {Promise<Array>} Array of { hreflang, href } objects with absolute URLs
+ */
+export async function getHreflangLinks(currentPath) {
+  const alternates = await getAlternates(currentPath);
+  const links = [];
+
+  await Promise.all(
+    getAllLocales().map(async (locale) => {
+      const localeKey = localeToKey(locale.lang, locale.country);
+      const untranslated = await isUntranslated(currentPath, locale.lang, locale.country);
+      if (alternates[localeKey] && !untranslated) {
+        links.push({
+          localeKey,
+          hreflang: locale.hreflang,
+          href: new URL(alternates[localeKey], getLocaleOrigin(locale.lang, locale.country)).href,
+        });
+      }
+    }),
+  );
+
+  // Keep the configured locale order and point x-default at the default locale
+  const order = getAllLocales().map((locale) => localeToKey(locale.lang, locale.country));
+  links.sort((a, b) => order.indexOf(a.localeKey) - order.indexOf(b.localeKey));
+  const defaultLink = links.find(
+    ({ localeKey }) => localeKey === localeToKey(DEFAULT_LOCALE.lang, DEFAULT_LOCALE.country),
+  );
+  if (defaultLink) {
+    links.push({ localeKey: 'x-default', hreflang: 'x-default', href: defaultLink.href });
+  }
+
+  return links.map(({ hreflang, href }) => ({ hreflang, href }));
+}
+
 /**
  * Get current locale from window.location
  * @returns {Object} Current locale info or default
  */
 export function getCurrentLocale() {
   const parsed = parseLocale(window.location.pathname);
+  const { lang, country } = parsed.isValid ? parsed : DEFAULT_LOCALE;
 
-  if (parsed.isValid) {
-    return {
-      lang: parsed.lang,
-      country: parsed.country,
-      localeKey: localeToKey(parsed.lang, parsed.country),
-      prefix: parsed.localePrefix,
-    };
-  }
-
-  // Return default locale
   return {
-    lang: DEFAULT_LOCALE.lang,
-    country: DEFAULT_LOCALE.country,
-    localeKey: localeToKey(DEFAULT_LOCALE.lang, DEFAULT_LOCALE.country),
-    prefix: buildLocalePrefix(DEFAULT_LOCALE.lang, DEFAULT_LOCALE.country),
+    lang,
+    country,
+    localeKey: localeToKey(lang, country),
+    prefix: parsed.isValid ? parsed.localePrefix : buildLocalePrefix(lang, country),
+    hreflang: getLocale(lang, country)?.hreflang || lang,
+    dir: getTextDirection(lang, country),
   };
 }
 
@@ -249,4 +432,5 @@ export function getCurrentLocale() {
 export function clearMappingsCache() {
   urlMappingsCache = null;
   mappingsLoadPromise = null;
+  untranslatedPages = {};
 }
@@ -0,0 +1,55 @@
+// Cache for query index requests, keyed by locale prefix
+const indexCache = {};
+
+/**
+ * Normalize a page path for index lookups (drops trailing slashes except on the root)
+ * @param {string} path URL path
+ * @returns {string} Normalized path
+ */
+export function normalizeIndexPath(path) {
+  return path.replace(/\/+$/, '') || '/';
+}
+
+/**
+ * Load the query index rows of a locale
+ * Tries `<prefix>/query-index.json` first, then filters the site-wide `/query-index.json`.
+ * @param {string} prefix Locale prefix (e.g., '/en/uk'), empty for the whole site
+ * @returns {Promise<Array>} Index rows
+ */
+export async function fetchQueryIndex(prefix = '') {
+  if (!indexCache[prefix]) {
+    indexCache[prefix] = (async () => {
+      try {
+        if (prefix) {
+          const response = await fetch(`${prefix}/query-index.json`);
+          if (response.ok) {
+            const { data = [] } = await response.json();
+            return data;
+          }
+        }
+        const response = await fetch('/query-index.json');
+        if (response.ok) {
+          const { data = [] } = await response.json();
+          return prefix
+            ? data.filter((row) => row.path === `${prefix}/` || row.path?.startsWith(`${prefix}/`))
+            : data;
+        }
+      } catch (error) {
+        // eslint-disable-next-line no-console
+        console.warn('Failed to load query index:', error);
+      }
+      return [];
+    })();
+  }
+  return indexCache[prefix];
+}
+
+/**
+ * Load the query index of a locale as a map keyed by normalized path
+ * @param {string} prefix Locale prefix (e.g., '/en/uk')
+ * @returns {Promise<Map>} Index rows keyed by normalized path
+ */
+export async function getIndexedPages(prefix = '') {
+  const rows = await fetchQueryIndex(prefix);
+  return new Map(rows.map((row) => [normalizeIndexPath(row.path), row]));
+}
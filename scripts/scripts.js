@@ -1,4 +1,5 @@
 import {
+  getMetadata,
   loadHeader,
   loadFooter,
   decorateButtons,
@@ -11,6 +12,10 @@ import {
   loadSections,
   loadCSS,
 } from './aem.js';
+import { getCurrentLocale, getHreflangLinks } from './language-mapping.js';
+import { getTextDirection, loadSiteConfig } from './language-config.js';
+import { writeStructuredData } from './structured-data.js';
+import applyAutoBlockRules from './auto-blocks.js';
 
 /**
  * Moves all the attributes from a given elmenet to another given element.
@@ -58,13 +63,53 @@ async function loadFonts() {
   }
 }
 
+/**
+ * Sets the document language and text direction from the current locale.
+ * A `lang` page metadata value (e.g. `de-CH`) takes precedence over the URL.
+ * @param {Document} doc The document
+ */
+function decorateDocumentLanguage(doc) {
+  const locale = getCurrentLocale();
+  const langMeta = getMetadata('lang', doc);
+  if (langMeta) {
+    const [lang, country] = langMeta.toLowerCase().split(/[-_]/);
+    doc.documentElement.lang = langMeta;
+    doc.documentElement.dir = getTextDirection(lang, country);
+  } else {
+    doc.documentElement.lang = locale.hreflang;
+    doc.documentElement.dir = locale.dir;
+  }
+}
+
+/**
+ * Adds hreflang alternate links for all translated locales to the document head.
+ * @param {Document} doc The document
+ */
+async function decorateHreflangLinks(doc) {
+  if (doc.head.querySelector('link[rel="alternate"][hreflang]')) return;
+  try {
+    await loadSiteConfig();
+    const links = await getHreflangLinks(window.location.pathname);
+    links.forEach(({ hreflang, href }) => {
+      const link = doc.createElement('link');
+      link.rel = 'alternate';
+      link.hreflang = hreflang;
+      link.href = href;
+      doc.head.append(link);
+    });
+  } catch (error) {
+    // eslint-disable-next-line no-console
+    console.warn('Failed to add hreflang links', error);
+  }
+}
+
 /**
  * Builds all synthetic blocks in a container element.
  * @param {Element} main The container element
  */
-function buildAutoBlocks() {
+function buildAutoBlocks(main) {
   try {
-    // TODO: add auto block, if needed
+    applyAutoBlockRules(main);
   } catch (error) {
     // eslint-disable-next-line no-console
     console.error('Auto Blocking failed', error);
@@ -90,8 +135,15 @@ export function decorateMain(main) {
  * @param {Element} doc The container element
  */
 async function loadEager(doc) {
-  document.documentElement.lang = 'en';
+  // applies a config cached in this session right away, the built-in defaults stay until
+  // the sheet is fetched otherwise; the code using the locales waits for it
+  loadSiteConfig().then(() => {
+    // the sheet may change the locale's language or direction
+    decorateDocumentLanguage(doc);
+  });
+  decorateDocumentLanguage(doc);
   decorateTemplateAndTheme();
+  decorateHreflangLinks(doc);
   const main = doc.querySelector('main');
   if (main) {
     decorateMain(main);
@@ -141,6 +193,7 @@ function loadDelayed() {
 async function loadPage() {
   await loadEager(document);
   await loadLazy(document);
+  writeStructuredData(document);
   loadDelayed();
 }
 
@@ -0,0 +1,110 @@
+import { getMetadata } from './aem.js';
+
+// schema.org entities contributed by blocks
+const entities = [];
+
+// Entity types that are merged into one entity per page, with the list property to combine
+const MERGED_TYPES = {
+  FAQPage: 'mainEntity',
+};
+
+let scriptElement = null;
+
+/**
+ * Resolves a URL against the current page.
+ * @param {string} url The URL or path
+ * @returns {string} The absolute URL, or undefined if no URL is given
+ */
+export function toAbsoluteUrl(url) {
+  return url ? new URL(url, window.location.href).href : undefined;
+}
+
+/**
+ * Removes empty values so optional properties don't end up in the output.
+ * @param {Object} entity The entity
+ * @returns {Object} The entity without undefined, null or empty string values
+ */
+function compact(entity) {
+  return Object.fromEntries(Object.entries(entity)
+    .filter(([, value]) => value !== undefined && value !== null && value !== ''));
+}
+
+/**
+ * Builds the page-level Organization and WebPage entities from metadata.
+ * @returns {Array} The page entities
+ */
+function getPageEntities() {
+  const { origin } = window.location;
+  const pageUrl = getMetadata('og:url') || `${origin}${window.location.pathname}`;
+  const organizationName = getMetadata('organization') || getMetadata('og:site_name');
+  const organization = organizationName ? compact({
+    '@type': 'Organization',
+    '@id': `${origin}/#organization`,
+    name: organizationName,
+    url: `${origin}/`,
+    logo: toAbsoluteUrl(getMetadata('organization-logo')),
+  }) : null;
+
+  const webPage = compact({
+    '@type': getMetadata('schema-type') || 'WebPage',
+    '@id': `${pageUrl}#webpage`,
+    url: pageUrl,
+    name: getMetadata('og:title') || document.title,
+    description: getMetadata('description'),
+    inLanguage: document.documentElement.lang,
+    image: toAbsoluteUrl(getMetadata('og:image')),
+    publisher: organization ? { '@id': organization['@id'] } : undefined,
+  });
+
+  return [organization, webPage].filter(Boolean);
+}
+
+/**
+ * Merges entities of the types in MERGED_TYPES into a single entity each.
+ * @param {Array} list The entities
+ * @returns {Array} The merged entities
+ */
+function mergeEntities(list) {
+  const merged = {};
+  return list.reduce((result, entity) => {
+    const property = MERGED_TYPES[entity['@type']];
+    if (!property) {
+      result.push(entity);
+    } else if (merged[entity['@type']]) {
+      merged[entity['@type']][property].push(...(entity[property] || []));
+    } else {
+      merged[entity['@type']] = { ...entity, [property]: [...(entity[property] || [])] };
+      result.push(merged[entity['@type']]);
+    }
+    return result;
+  }, []);
+}
+
+/**
+ * Writes all page and block entities to a single JSON-LD script in the head.
+ * Calling it again updates the same script.
+ * @param {Document} doc The document
+ */
+export function writeStructuredData(doc = document) {
+  const graph = mergeEntities([...getPageEntities(), ...entities]);
+  if (!scriptElement) {
+    scriptElement = doc.createElement('script');
+    scriptElement.type = 'application/ld+json';
+    doc.head.append(scriptElement);
+  }
+  scriptElement.textContent = JSON.stringify({
+    '@context': 'https://schema.org',
+    '@graph': graph,
+  });
+}
+
+/**
+ * Adds a schema.org entity for the page, e.g. from a block's decorate function.
+ * Entities added after the script was written update it.
+ * @param {Object} entity The entity, with `@type` and without `@context`
+ */
+export function addStructuredData(entity) {
+  const { '@context': context, ...rest } = entity;
+  entities.push(compact(rest));
+  if (scriptElement) writeStructuredData();
+}
@@ -0,0 +1,122 @@
+import {
+  getAllLocales,
+  loadSiteConfig,
+  DEFAULT_LOCALE,
+} from '../../scripts/language-config.js';
+import { loadMappings, localeToKey } from '../../scripts/language-mapping.js';
+import {
+  ISSUE_TYPES,
+  buildReport,
+  fetchLocaleIndex,
+  toCSV,
+} from './utils.js';
+
+function createElement(tag, className, text) {
+  const el = document.createElement(tag);
+  if (className) el.className = className;
+  if (text !== undefined) el.textContent = text;
+  return el;
+}
+
+function renderTable(issues) {
+  const table = createElement('table');
+  const head = createElement('tr');
+  ['Source', 'Target locale', 'Target path'].forEach((label) => head.append(createElement('th', '', label)));
+  table.append(head);
+
+  issues.forEach((issue) => {
+    const row = createElement('tr');
+    const source = createElement('td');
+    const link = createElement('a', '', issue.sourcePath);
+    link.href = issue.sourcePath;
+    link.target = '_blank';
+    source.append(link);
+    row.append(
+      source,
+      createElement('td', '', issue.targetLocale),
+      createElement('td', '', issue.targetPath),
+    );
+    table.append(row);
+  });
+  return table;
+}
+
+function renderReport(container, issues) {
+  container.textContent = '';
+
+  const summary = createElement('ul', 'summary');
+  Object.entries(ISSUE_TYPES).forEach(([type, label]) => {
+    const count = issues.filter((issue) => issue.type === type).length;
+    summary.append(createElement('li', '', `${label}: ${count}`));
+  });
+  container.append(summary);
+
+  Object.entries(ISSUE_TYPES).forEach(([type, label]) => {
+    const typeIssues = issues.filter((issue) => issue.type === type);
+    if (!typeIssues.length) return;
+    const section = createElement('section');
+    section.append(createElement('h2', '', `${label} (${typeIssues.length})`), renderTable(typeIssues));
+    container.append(section);
+  });
+}
+
+function downloadCSV(issues, sourceLocale) {
+  const blob = new Blob([toCSV(issues)], { type: 'text/csv' });
+  const link = createElement('a');
+  link.href = URL.createObjectURL(blob);
+  link.download = `translation-status-${sourceLocale}.csv`;
+  link.click();
+  URL.revokeObjectURL(link.href);
+}
+
+(async function init() {
+  await loadSiteConfig();
+  const locales = getAllLocales();
+
+  const title = createElement('h1', '', 'Translation Status');
+  const controls = createElement('div', 'controls');
+  const select = createElement('select');
+  select.setAttribute('aria-label', 'Source locale');
+  locales.forEach((locale) => {
+    const option = createElement('option', '', locale.name);
+    option.value = localeToKey(locale.lang, locale.country);
+    option.selected = option.value === localeToKey(DEFAULT_LOCALE.lang, DEFAULT_LOCALE.country);
+    select.append(option);
+  });
+  const run = createElement('button', 'primary', 'Run report');
+  const exportButton = createElement('button', '', 'Export CSV');
+  exportButton.disabled = true;
+  controls.append(select, run, exportButton);
+
+  const status = createElement('p', 'status');
+  const results = createElement('div', 'results');
+  document.body.append(title, controls, status, results);
+
+  let issues = [];
+
+  run.addEventListener('click', async () => {
+    run.disabled = true;
+    exportButton.disabled = true;
+    results.textContent = '';
+    status.textContent = 'Loading mappings and page indexes...';
+    try {
+      const [index, ...pageMaps] = await Promise.all([
+        loadMappings(),
+        ...locales.map((locale) => fetchLocaleIndex(locale)),
+      ]);
+      const indexes = Object.fromEntries(locales
+        .map((locale, i) => [localeToKey(locale.lang, locale.country), pageMaps[i]]));
+
+      status.textContent = 'Checking mapped pages...';
+      issues = await buildReport({ sourceLocale: select.value, index, indexes });
+      status.textContent = `${indexes[select.value]?.size || 0} source pages checked.`;
+      renderReport(results, issues);
+      exportButton.disabled = !issues.length;
+    } catch (error) {
+      status.textContent = `Could not build report: ${error.message}`;
+    }
+    run.disabled = false;
+  });
+
+  exportButton.addEventListener('click', () => downloadCSV(issues, select.value));
+}());
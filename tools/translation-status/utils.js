@@ -0,0 +1,119 @@
+import { getAllLocales } from '../../scripts/language-config.js';
+import { buildLocalePrefix, findTranslation, localeToKey } from '../../scripts/language-mapping.js';
+import { fetchQueryIndex } from '../../scripts/query-index.js';
+
+export const ISSUE_TYPES = {
+  missing: 'Missing translation',
+  broken: 'Mapping points to 404',
+  outdated: 'Translation older than source',
+  conflict: 'Conflicting mapping',
+};
+
+function toPage(row) {
+  return {
+    path: row.path,
+    title: row.title || '',
+    lastModified: Number(row.lastModified) || 0,
+  };
+}
+
+/**
+ * Fetch the query index of a locale
+ * @param {Object} locale Locale object
+ * @returns {Promise<Map>} Pages of the locale keyed by path
+ */
+export async function fetchLocaleIndex(locale) {
+  const rows = await fetchQueryIndex(buildLocalePrefix(locale.lang, locale.country));
+  return new Map(rows.map((row) => [row.path, toPage(row)]));
+}
+
+/**
+ * Check if a page responds with a 404
+ * @param {string} path Page path
+ * @returns {Promise<boolean>} True if the page is not found
+ */
+export async function isNotFound(path) {
+  try {
+    const resp = await fetch(path, { method: 'HEAD' });
+    return resp.status === 404;
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Build the translation status report for a source locale
+ * @param {Object} options Report options
+ * @param {string} options.sourceLocale Source locale key (e.g., 'en-uk')
+ * @param {Object} options.index Translation index from loadMappings()
+ * @param {Object} options.indexes Page maps keyed by locale key
+ * @param {Function} [options.checkNotFound] Async check for pages missing from the index
+ * @returns {Promise<Array>} Array of { type, sourceLocale, sourcePath, targetLocale, targetPath }
+ */
+export async function buildReport({
+  sourceLocale, index, indexes, checkNotFound = isNotFound,
+}) {
+  const { lang, country } = getAllLocales()
+    .find((locale) => localeToKey(locale.lang, locale.country) === sourceLocale);
+  const sourcePrefix = buildLocalePrefix(lang, country);
+  const sourcePages = indexes[sourceLocale] || new Map();
+  const pairs = index.rows;
+  const issues = index.conflicts.map(({ localeKey, paths, row }) => ({
+    type: 'conflict',
+    sourceLocale: row.sourceLocale,
+    sourcePath: row.sourcePath,
+    targetLocale: localeKey,
+    targetPath: paths.join(' | '),
+  }));
+
+  // Mappings whose target is neither indexed nor reachable
+  await Promise.all(pairs
+    .filter((pair) => !indexes[pair.targetLocale]?.has(pair.targetPath))
+    .map(async (pair) => {
+      if (await checkNotFound(pair.targetPath)) {
+        issues.push({ type: 'broken', ...pair });
+      }
+    }));
+
+  const targetLocales = getAllLocales()
+    .filter((locale) => localeToKey(locale.lang, locale.country) !== sourceLocale);
+
+  sourcePages.forEach((page) => {
+    targetLocales.forEach((locale) => {
+      const targetLocale = localeToKey(locale.lang, locale.country);
+      const targetPages = indexes[targetLocale] || new Map();
+      const mapped = findTranslation(index, sourceLocale, page.path, targetLocale);
+      // Without a mapping the switcher keeps the path below the locale prefix
+      const targetPath = mapped
+        || `${buildLocalePrefix(locale.lang, locale.country)}${page.path.substring(sourcePrefix.length)}`;
+      const target = targetPages.get(targetPath);
+      const issue = {
+        sourceLocale, sourcePath: page.path, targetLocale, targetPath,
+      };
+
+      if (!target) {
+        if (!mapped) issues.push({ type: 'missing', ...issue });
+      } else if (target.lastModified && target.lastModified < page.lastModified) {
+        issues.push({ type: 'outdated', ...issue });
+      }
+    });
+  });
+
+  return issues;
+}
+
+/**
+ * Convert report rows to CSV
+ * @param {Array} issues Report rows
+ * @returns {string} CSV text
+ */
+export function toCSV(issues) {
+  const columns = ['type', 'sourceLocale', 'sourcePath', 'targetLocale', 'targetPath'];
+  const escape = (value) => `"${String(value ?? '').replace(/"/g, '""')}"`;
+  return [
+    columns.join(','),
+    ...issues.map((issue) => columns
+      .map((column) => escape(column === 'type' ? ISSUE_TYPES[issue.type] : issue[column]))
+      .join(',')),
+  ].join('\n');
+}